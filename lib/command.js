@@ -11,6 +11,18 @@ var Command = function(cmd, args, cb){
 	this.cb = cb;
 }
 
+//lowest and highest class the command is defined for
+Command.prototype.minClass = 1;
+Command.prototype.maxClass = 1;
+
+Command.prototype.getHeader = function(cls){
+	cls = cls || 1;
+	if(cls<this.minClass) cls = this.minClass;
+	if(cls>this.maxClass) cls = this.maxClass;
+
+	return '%' + cls;
+}
+
 Command.prototype.toString = function(){
 	var str = this.cmd;
 
@@ -87,8 +99,26 @@ Command.PowerCommand.prototype.formatResult = function(args){
 
 
 /************* INPUT ************/
+//INTERNAL is defined in class 2
 Command.INPUT = {
-	RGB: 1, VIDEO: 2, DIGITAL: 3, STORAGE: 4, NETWORK: 5
+	RGB: 1, VIDEO: 2, DIGITAL: 3, STORAGE: 4, NETWORK: 5, INTERNAL: 6
+}
+
+//class 2 input codes: source 1-6 and channel 1-9 or A-Z
+Command.INPUT_CODE = /^[1-6][1-9A-Z]$/;
+
+//split an input code like '31' or '3B' into source and channel, null if it is no valid code
+var parseInputCode = function(code){
+	code = String(code).toUpperCase();
+	if(!Command.INPUT_CODE.test(code)) return null;
+
+	var channel = code.substr(1,1);
+	return {
+		source: parseInt(code.substr(0,1)),
+		channel: /[1-9]/.test(channel) ? parseInt(channel) : channel, //numeric channels stay numbers
+		code: code,
+		name: ''
+	};
 }
 
 Command.InputCommand = function(){
@@ -103,10 +133,12 @@ Command.InputCommand = function(){
 
 		if(typeof args[0]=='object'){
 			input = extend(input, args[0]);
-		}else if(typeof args[0]=='string' && args[0].length==2){ //string code
+		}else if(typeof args[0]=='string' && args[0].length==2){ //string code, class 2 also alphanumeric e.g. '3B'
+			var parsed = parseInputCode(args[0]) || {source: parseInt(args[0].substr(0,1)), channel: args[0].substr(1,1)};
+			// @ts-ignore
+			input.source = parsed.source;
 			// @ts-ignore
-			input.source = parseInt(args[0].substr(0,1));
-			input.channel = parseInt(args[0].substr(1,1));
+			input.channel = parsed.channel;
 		}else if(typeof args[0]=='number' && args[0]>=10){ //number code
 			input.channel = args[0]%10;
 			// @ts-ignore
@@ -128,15 +160,15 @@ Command.InputCommand = function(){
 }
 util.inherits(Command.InputCommand, Command);
 
+//sent with the class 2 header to a class 2 projector, so the alphanumeric codes are allowed
+Command.InputCommand.prototype.maxClass = 2;
+
 Command.InputCommand.prototype.formatResult = function(args){
 	if(args.length>0){
-		args = args[0];
-		if(typeof args==='string' && args.length>1){
-			try{
-				var source = parseInt(args.substr(0,1));
-				var channel = parseInt(args.substr(1,1));
-				return {source: source, channel: channel, code: args, name: findSourceName(source, channel)};
-			}catch(e){}
+		var input = parseInputCode(args[0]);
+		if(input){
+			input.name = findSourceName(input.source, input.channel);
+			return input;
 		}
 	}
 }
@@ -151,6 +183,15 @@ var findSourceName = function(source, channel){
 	return 'unknown';
 }
 
+//code of a source name like 'DIGITAL - 2', 'digital 2', 'DIGITAL2' or 'DIGITAL B', null if it is no source name
+Command.findSourceCode = function(name){
+	var match = /^\s*([a-z]+)\s*-?\s*([1-9a-z])\s*$/i.exec(name || '');
+
+	if(!match || !Command.INPUT.hasOwnProperty(match[1].toUpperCase())) return null;
+
+	return Command.INPUT[match[1].toUpperCase()] + '' + match[2].toUpperCase();
+}
+
 /************* MUTE ************/
 
 Command.MuteCommand = function(){
@@ -308,19 +349,16 @@ Command.InputsCommand = function(){
 
 util.inherits(Command.InputsCommand, Command);
 
+Command.InputsCommand.prototype.maxClass = 2;
+
 Command.InputsCommand.prototype.formatResult = function(args){
 	var inputs = [];
 
 	for(var i=0; i<args.length; i++){
-		var input = args[i];
-		if(typeof input==='string' && input.length>1){
-			try{
-				var source = parseInt(input.substr(0,1));
-				var channel = parseInt(input.substr(1,1));
-				inputs.push(
-					{source: source, channel: channel, code: input, name: findSourceName(source, channel)}
-				);
-			}catch(e){}
+		var input = parseInputCode(args[i]);
+		if(input){
+			input.name = findSourceName(input.source, input.channel);
+			inputs.push(input);
 		}
 	}
 
@@ -341,6 +379,11 @@ Command.NameCommand = function(){
 
 util.inherits(Command.NameCommand, Command);
 
+//the text may contain spaces
+Command.NameCommand.prototype.formatResult = function(args){
+	return args.join(' ');
+}
+
 /************* MANUFACTURER ************/
 
 Command.ManufacturerCommand = function(){
@@ -355,6 +398,11 @@ Command.ManufacturerCommand = function(){
 
 util.inherits(Command.ManufacturerCommand, Command);
 
+//the text may contain spaces
+Command.ManufacturerCommand.prototype.formatResult = function(args){
+	return args.join(' ');
+}
+
 /************* MODEL ************/
 
 Command.ModelCommand = function(){
@@ -387,6 +435,11 @@ Command.InfoCommand = function(){
 
 util.inherits(Command.InfoCommand, Command);
 
+//the text may contain spaces
+Command.InfoCommand.prototype.formatResult = function(args){
+	return args.join(' ');
+}
+
 /************* CLASS ************/
 
 Command.ClassCommand = function(){
@@ -401,5 +454,315 @@ Command.ClassCommand = function(){
 
 util.inherits(Command.ClassCommand, Command);
 
+/************* SERIAL NUMBER (Class 2) ************/
+
+Command.SerialNumberCommand = function(){
+	var cb;
+	var data = '?';
+	var args = Array.prototype.slice.call(arguments, 0);
+
+	if(typeof args[args.length-1]==='function') cb = args.pop();
+
+	Command.call(this, 'SNUM', data, cb);
+}
+
+util.inherits(Command.SerialNumberCommand, Command);
+
+Command.SerialNumberCommand.prototype.minClass = 2;
+Command.SerialNumberCommand.prototype.maxClass = 2;
+
+Command.SerialNumberCommand.prototype.formatResult = function(args){
+	return args.join(' ');
+}
+
+/************* SOFTWARE VERSION (Class 2) ************/
+
+Command.SoftwareVersionCommand = function(){
+	var cb;
+	var data = '?';
+	var args = Array.prototype.slice.call(arguments, 0);
+
+	if(typeof args[args.length-1]==='function') cb = args.pop();
+
+	Command.call(this, 'SVER', data, cb);
+}
+
+util.inherits(Command.SoftwareVersionCommand, Command);
+
+Command.SoftwareVersionCommand.prototype.minClass = 2;
+Command.SoftwareVersionCommand.prototype.maxClass = 2;
+
+Command.SoftwareVersionCommand.prototype.formatResult = function(args){
+	return args.join(' ');
+}
+
+/************* INPUT NAME (Class 2) ************/
+
+Command.InputNameCommand = function(){
+	var cb;
+	var args = Array.prototype.slice.call(arguments, 0);
+
+	if(typeof args[args.length-1]==='function') cb = args.pop();
+
+	//the input code to query, e.g. 31
+	var data = '?' + (args.length>0 ? args.shift() : '');
+
+	Command.call(this, 'INNM', data, cb);
+}
+
+util.inherits(Command.InputNameCommand, Command);
+
+Command.InputNameCommand.prototype.minClass = 2;
+Command.InputNameCommand.prototype.maxClass = 2;
+
+Command.InputNameCommand.prototype.formatResult = function(args){
+	return args.join(' ');
+}
+
+/************* RESOLUTION (Class 2) ************/
+
+Command.RESOLUTION = {
+	NO_SIGNAL: '-', UNKNOWN: '*'
+}
+
+var parseResolution = function(args){
+	var code = args.length>0 ? args[0] : Command.RESOLUTION.UNKNOWN;
+	var match = /^(\d+)x(\d+)$/i.exec(code);
+
+	return {
+		code: code,
+		signal: code!=Command.RESOLUTION.NO_SIGNAL,
+		horizontal: match ? parseInt(match[1]) : null,
+		vertical: match ? parseInt(match[2]) : null
+	};
+}
+
+Command.InputResolutionCommand = function(){
+	var cb;
+	var data = '?';
+	var args = Array.prototype.slice.call(arguments, 0);
+
+	if(typeof args[args.length-1]==='function') cb = args.pop();
+
+	Command.call(this, 'IRES', data, cb);
+}
+
+util.inherits(Command.InputResolutionCommand, Command);
+
+Command.InputResolutionCommand.prototype.minClass = 2;
+Command.InputResolutionCommand.prototype.maxClass = 2;
+
+Command.InputResolutionCommand.prototype.formatResult = function(args){
+	return parseResolution(args);
+}
+
+Command.RecommendedResolutionCommand = function(){
+	var cb;
+	var data = '?';
+	var args = Array.prototype.slice.call(arguments, 0);
+
+	if(typeof args[args.length-1]==='function') cb = args.pop();
+
+	Command.call(this, 'RRES', data, cb);
+}
+
+util.inherits(Command.RecommendedResolutionCommand, Command);
+
+Command.RecommendedResolutionCommand.prototype.minClass = 2;
+Command.RecommendedResolutionCommand.prototype.maxClass = 2;
+
+Command.RecommendedResolutionCommand.prototype.formatResult = function(args){
+	return parseResolution(args);
+}
+
+/************* FILTER (Class 2) ************/
+
+Command.FilterCommand = function(){
+	var cb;
+	var data = '?';
+	var args = Array.prototype.slice.call(arguments, 0);
+
+	if(typeof args[args.length-1]==='function') cb = args.pop();
+
+	Command.call(this, 'FILT', data, cb);
+}
+
+util.inherits(Command.FilterCommand, Command);
+
+Command.FilterCommand.prototype.minClass = 2;
+Command.FilterCommand.prototype.maxClass = 2;
+
+Command.FilterCommand.prototype.formatResult = function(args){
+	if(args.length>0){
+		return parseInt(args[0]);
+	}
+}
+
+/************* REPLACEMENT MODELS (Class 2) ************/
+
+Command.LampModelCommand = function(){
+	var cb;
+	var data = '?';
+	var args = Array.prototype.slice.call(arguments, 0);
+
+	if(typeof args[args.length-1]==='function') cb = args.pop();
+
+	Command.call(this, 'RLMP', data, cb);
+}
+
+util.inherits(Command.LampModelCommand, Command);
+
+Command.LampModelCommand.prototype.minClass = 2;
+Command.LampModelCommand.prototype.maxClass = 2;
+
+Command.LampModelCommand.prototype.formatResult = function(args){
+	//model numbers are separated by spaces
+	return [args.slice()];
+}
+
+Command.FilterModelCommand = function(){
+	var cb;
+	var data = '?';
+	var args = Array.prototype.slice.call(arguments, 0);
+
+	if(typeof args[args.length-1]==='function') cb = args.pop();
+
+	Command.call(this, 'RFIL', data, cb);
+}
+
+util.inherits(Command.FilterModelCommand, Command);
+
+Command.FilterModelCommand.prototype.minClass = 2;
+Command.FilterModelCommand.prototype.maxClass = 2;
+
+Command.FilterModelCommand.prototype.formatResult = function(args){
+	return [args.slice()];
+}
+
+/************* VOLUME (Class 2) ************/
+Command.VOLUME = {
+	DOWN: 0, UP: 1
+}
+
+//the direction of a volume command: Command.VOLUME.UP/DOWN, true/false or 'up'/'down', null if it is no valid direction
+Command.volumeDirection = function(direction){
+	if(typeof direction==='string' && Command.VOLUME.hasOwnProperty(direction.trim().toUpperCase())){
+		return Command.VOLUME[direction.trim().toUpperCase()];
+	}
+	if(direction===true || direction===Command.VOLUME.UP) return Command.VOLUME.UP;
+	if(direction===false || direction===Command.VOLUME.DOWN) return Command.VOLUME.DOWN;
+
+	return null;
+}
+
+var volumeData = function(args){
+	var direction = Command.volumeDirection(args.length>0 ? args[0] : Command.VOLUME.UP);
+
+	if(direction===null) throw new Error('Invalid volume direction \'' + args[0] + '\'');
+
+	return String(direction);
+}
+
+Command.SpeakerVolumeCommand = function(){
+	var cb;
+	var args = Array.prototype.slice.call(arguments, 0);
+
+	if(typeof args[args.length-1]==='function') cb = args.pop();
+
+	Command.call(this, 'SVOL', volumeData(args), cb);
+}
+
+util.inherits(Command.SpeakerVolumeCommand, Command);
+
+Command.SpeakerVolumeCommand.prototype.minClass = 2;
+Command.SpeakerVolumeCommand.prototype.maxClass = 2;
+
+Command.MicrophoneVolumeCommand = function(){
+	var cb;
+	var args = Array.prototype.slice.call(arguments, 0);
+
+	if(typeof args[args.length-1]==='function') cb = args.pop();
+
+	Command.call(this, 'MVOL', volumeData(args), cb);
+}
+
+util.inherits(Command.MicrophoneVolumeCommand, Command);
+
+Command.MicrophoneVolumeCommand.prototype.minClass = 2;
+Command.MicrophoneVolumeCommand.prototype.maxClass = 2;
+
+/************* FREEZE (Class 2) ************/
+
+Command.FreezeCommand = function(){
+	var cb;
+	var data = '?';
+	var args = Array.prototype.slice.call(arguments, 0);
+
+	if(typeof args[args.length-1]==='function') cb = args.pop();
+
+	if(args.length>0){
+		data = (args[0]===true || args[0]==1) ? '1' : '0';
+	}
+
+	Command.call(this, 'FREZ', data, cb);
+}
+
+util.inherits(Command.FreezeCommand, Command);
+
+Command.FreezeCommand.prototype.minClass = 2;
+Command.FreezeCommand.prototype.maxClass = 2;
+
+Command.FreezeCommand.prototype.formatResult = function(args){
+	if(args.length>0){
+		return args[0]=='1';
+	}
+}
+
+/************* RAW ************/
+
+//any command, e.g. a vendor specific one. The answer is returned as string
+Command.RawCommand = function(){
+	var cb;
+	var args = Array.prototype.slice.call(arguments, 0);
+
+	if(typeof args[args.length-1]==='function') cb = args.pop();
+
+	var cmd = String(args.shift() || '').toUpperCase();
+	//the parameter, a query if empty
+	var data = args.length>0 && args[0]!==undefined && args[0]!=='' ? args.shift() : '?';
+	if(args.length>0 && args[0]) this.minClass = this.maxClass = parseInt(args.shift());
+
+	Command.call(this, cmd, data, cb);
+}
+
+util.inherits(Command.RawCommand, Command);
+
+//the answer is not written to the status cache of the formatted results
+Command.RawCommand.prototype.raw = true;
+
+Command.RawCommand.prototype.formatResult = function(args){
+	return args.join(' ');
+}
+
+Command.RawCommand.prototype.handleResponse = function(resp){
+	//the answer OK and an empty answer have no data. Empty for a query, OK for a set command
+	// @ts-ignore
+	if(this.cb && !resp.isError() && resp.cmd==this.cmd && !resp.hasArgs()){
+		// @ts-ignore
+		this.cb(null, String(this.args[0]).charAt(0)=='?' ? '' : 'OK');
+		return;
+	}
+
+	Command.prototype.handleResponse.call(this, resp);
+}
+
+//a raw command like 'POWR ?', 'INPT 31' or '%2INNM ?31', null if it is no valid command
+Command.parseRawCommand = function(text){
+	var match = /^\s*(?:%([12]))?([A-Za-z0-9]{4})(?:\s(.*))?$/.exec(text || '');
+
+	if(!match || (match[3] && match[3].length>128)) return null;
+
+	return {cmd: match[2].toUpperCase(), args: match[3] ? match[3].trim() : '?', cls: match[1] ? parseInt(match[1]) : 1};
+}
 
 module.exports = Command;
@@ -0,0 +1,169 @@
+'use strict';
+
+/**
+ * Tests for the PJLink command library
+ */
+
+const { expect } = require('chai');
+const pjcommand = require('./command');
+const pjresponse = require('./response');
+
+/**
+ * hand an answer to a command and return the values passed to the callback
+ *
+ * @param {object} command the command
+ * @param {string} answer the answer telegram of the projector
+ * @returns {Array<any>} the arguments of the callback
+ */
+function answer(command, answer) {
+    let result = [];
+    command.cb = (...args) => {
+        result = args;
+    };
+    command.handleResponse(pjresponse.parse(answer));
+    return result;
+}
+
+/**
+ * @param {object} command the command
+ * @param {number} cls the class of the client
+ * @returns {string} the header of the telegram
+ */
+function header(command, cls) {
+    return command.getHeader(cls);
+}
+
+describe('command => telegram', () => {
+    it('should build queries and set commands', () => {
+        expect(new pjcommand.PowerCommand().toString()).to.equal('POWR ?');
+        expect(new pjcommand.PowerCommand(pjcommand.POWER.ON).toString()).to.equal('POWR 1');
+        expect(new pjcommand.InputCommand('31').toString()).to.equal('INPT 31');
+        expect(new pjcommand.InputCommand(pjcommand.INPUT.NETWORK, 2).toString()).to.equal('INPT 52');
+        expect(new pjcommand.InputCommand('3b').toString()).to.equal('INPT 3B');
+        expect(new pjcommand.InputCommand(32).toString()).to.equal('INPT 32');
+        expect(new pjcommand.MuteCommand(31).toString()).to.equal('AVMT 31');
+        expect(new pjcommand.InputNameCommand('32').toString()).to.equal('INNM ?32');
+        expect(new pjcommand.FreezeCommand(true).toString()).to.equal('FREZ 1');
+        expect(new pjcommand.FreezeCommand(false).toString()).to.equal('FREZ 0');
+        expect(new pjcommand.SpeakerVolumeCommand('up').toString()).to.equal('SVOL 1');
+        expect(new pjcommand.MicrophoneVolumeCommand(pjcommand.VOLUME.DOWN).toString()).to.equal('MVOL 0');
+    });
+
+    it('should accept only up and down as volume direction', () => {
+        expect(pjcommand.volumeDirection('Down')).to.equal(pjcommand.VOLUME.DOWN);
+        expect(pjcommand.volumeDirection(true)).to.equal(pjcommand.VOLUME.UP);
+        expect(pjcommand.volumeDirection('louder')).to.be.null;
+        expect(pjcommand.volumeDirection(2)).to.be.null;
+        expect(() => new pjcommand.SpeakerVolumeCommand('louder')).to.throw("Invalid volume direction 'louder'");
+    });
+
+    it('should find the code of a source name', () => {
+        expect(pjcommand.findSourceCode('DIGITAL - 2')).to.equal('32');
+        expect(pjcommand.findSourceCode('rgb 1')).to.equal('11');
+        expect(pjcommand.findSourceCode('Network5')).to.equal('55');
+        expect(pjcommand.findSourceCode('HDMI 2')).to.be.null;
+        expect(pjcommand.findSourceCode('DIGITAL 0')).to.be.null;
+        expect(pjcommand.findSourceCode('internal b')).to.equal('6B');
+    });
+
+    it('should use the class of the command in the header', () => {
+        expect(header(new pjcommand.PowerCommand(), 2)).to.equal('%1');
+        expect(header(new pjcommand.SerialNumberCommand(), 1)).to.equal('%2');
+        expect(header(new pjcommand.SerialNumberCommand(), 2)).to.equal('%2');
+        expect(header(new pjcommand.InputCommand('3B'), 1)).to.equal('%1');
+        expect(header(new pjcommand.InputCommand('3B'), 2)).to.equal('%2');
+    });
+});
+
+describe('command => answers', () => {
+    it('should format the power state', () => {
+        expect(answer(new pjcommand.PowerCommand(), '%1POWR=3')).to.deep.equal([null, pjcommand.POWER.WARMING_UP]);
+    });
+
+    it('should format the input', () => {
+        const [err, input] = answer(new pjcommand.InputCommand(), '%1INPT=31');
+        expect(err).to.be.null;
+        expect(input).to.include({ source: 3, channel: 1, code: '31' });
+    });
+
+    it('should format the alphanumeric class 2 inputs', () => {
+        expect(answer(new pjcommand.InputCommand(), '%2INPT=3B')[1]).to.deep.equal({
+            source: 3,
+            channel: 'B',
+            code: '3B',
+            name: 'DIGITAL - B',
+        });
+        const [err, inputs] = answer(new pjcommand.InputsCommand(), '%2INST=11 3B 6Z 71');
+        expect(err).to.be.null;
+        expect(inputs.map(input => input.code)).to.deep.equal(['11', '3B', '6Z']);
+        expect(inputs[2].name).to.equal('INTERNAL - Z');
+    });
+
+    it('should return the texts with spaces', () => {
+        expect(answer(new pjcommand.NameCommand(), '%1NAME=Beamer Küche 2')).to.deep.equal([null, 'Beamer Küche 2']);
+        expect(answer(new pjcommand.ManufacturerCommand(), '%1INF1=Seiko Epson')).to.deep.equal([null, 'Seiko Epson']);
+        expect(answer(new pjcommand.InfoCommand(), '%1INFO=Lamp LMP 1')).to.deep.equal([null, 'Lamp LMP 1']);
+    });
+
+    it('should send raw commands and return the answer as text', () => {
+        const raw = new pjcommand.RawCommand('innm', '?31', 2);
+        expect(raw.toString()).to.equal('INNM ?31');
+        expect(header(raw, 1)).to.equal('%2');
+        expect(new pjcommand.RawCommand('POWR').toString()).to.equal('POWR ?');
+        expect(header(new pjcommand.RawCommand('POWR', '1'), 2)).to.equal('%1');
+        expect(answer(new pjcommand.RawCommand('INF1'), '%1INF1=Vendor Model X')).to.deep.equal([
+            null,
+            'Vendor Model X',
+        ]);
+        expect(answer(new pjcommand.RawCommand('XMUT', '1'), '%1XMUT=ERR1')[0].message).to.equal('Undefined command');
+        expect(answer(new pjcommand.RawCommand('POWR', '1'), '%1POWR=OK')).to.deep.equal([null, 'OK']);
+        expect(answer(new pjcommand.RawCommand('INNM', '?32', 2), '%2INNM=')).to.deep.equal([null, '']);
+
+        expect(pjcommand.parseRawCommand('%2INNM ?31')).to.deep.equal({ cmd: 'INNM', args: '?31', cls: 2 });
+        expect(pjcommand.parseRawCommand('powr')).to.deep.equal({ cmd: 'POWR', args: '?', cls: 1 });
+        expect(pjcommand.parseRawCommand('%3POWR ?')).to.be.null;
+        expect(pjcommand.parseRawCommand('POWER 1')).to.be.null;
+    });
+
+    it('should format the mute state', () => {
+        expect(answer(new pjcommand.MuteCommand(), '%1AVMT=21')[1]).to.deep.equal({
+            audio: true,
+            video: false,
+            status: 21,
+        });
+    });
+
+    it('should format the error status', () => {
+        expect(answer(new pjcommand.ErrorsCommand(), '%1ERST=000000')[1]).to.be.null;
+        expect(answer(new pjcommand.ErrorsCommand(), '%1ERST=120000')[1]).to.include({
+            fan: 'warning',
+            lamp: 'error',
+            temperature: false,
+        });
+    });
+
+    it('should format the lamps', () => {
+        expect(answer(new pjcommand.LampCommand(), '%1LAMP=1234 1 99 0')[1]).to.deep.equal([
+            { hours: 1234, on: true },
+            { hours: 99, on: false },
+        ]);
+    });
+
+    it('should format the resolution', () => {
+        expect(answer(new pjcommand.InputResolutionCommand(), '%2IRES=1920x1080')[1]).to.deep.equal({
+            code: '1920x1080',
+            signal: true,
+            horizontal: 1920,
+            vertical: 1080,
+        });
+        expect(answer(new pjcommand.InputResolutionCommand(), '%2IRES=-')[1]).to.include({ signal: false });
+    });
+
+    it('should pass projector errors', () => {
+        expect(answer(new pjcommand.PowerCommand(), '%1POWR=ERR3')[0].message).to.equal('Unavailable time');
+    });
+
+    it('should detect a mismatching answer', () => {
+        expect(answer(new pjcommand.PowerCommand(), '%1INPT=31')[0].message).to.equal('Command reply mismatch');
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ *
+ *      library for iobroker pjlink Adapter
+ *
+ *      Modul :     errorlog
+ *      Version:    0.1
+ *      Stand:      19.10.2026
+ *
+ *      Copyright (c) 2025, Bannsaenger <bannsaenger@gmx.de>
+ *
+ *      MIT License
+ *
+ */
+'use strict';
+
+/**
+ * Ring buffer of the errors reported by ERST
+ *
+ * Every period in which a category reports a warning or an error is one entry (newest first):
+ * { ts: start in ms, category: 'fan', severity: 'warning' | 'error', end: ms | null, duration: s | null, acknowledged: false }
+ * An entry with end === null is still active.
+ */
+
+const CATEGORIES = ['fan', 'lamp', 'temperature', 'cover', 'filter', 'other'];
+const SEVERITIES = { 1: 'warning', 3: 'error' };
+
+/**
+ * update the log with the actual error status
+ *
+ * @param {Array<any>} log the entries, newest first. Changed in place
+ * @param {Record<string, number>} status the status of each category (0: ok, 1: warning, 3: error)
+ * @param {number} size maximum number of entries, active entries are never dropped
+ * @param {number} [now] the actual time in ms
+ * @returns {{raised: Array<any>, cleared: Array<any>}} the entries started and ended by this status
+ */
+function update(log, status, size, now = Date.now()) {
+    const raised = [];
+    const cleared = [];
+    for (const category of CATEGORIES) {
+        const severity = SEVERITIES[status[category]] || null;
+        const active = log.find(entry => entry.category === category && entry.end === null);
+        if (active && active.severity === severity) {
+            continue;
+        }
+        if (active) {
+            active.end = now;
+            active.duration = Math.round((now - active.ts) / 1000);
+            cleared.push(active);
+        }
+        if (severity) {
+            const entry = {
+                ts: now,
+                category: category,
+                severity: severity,
+                end: null,
+                duration: null,
+                acknowledged: false,
+            };
+            log.unshift(entry);
+            raised.push(entry);
+        }
+    }
+    for (let index = log.length - 1; index >= 0 && log.length > size; index--) {
+        if (log[index].end !== null) {
+            log.splice(index, 1);
+        }
+    }
+    return { raised: raised, cleared: cleared };
+}
+
+/**
+ * mark all entries as acknowledged
+ *
+ * @param {Array<any>} log the entries. Changed in place
+ * @returns {number} number of entries acknowledged now
+ */
+function acknowledge(log) {
+    let count = 0;
+    for (const entry of log) {
+        if (!entry.acknowledged) {
+            entry.acknowledged = true;
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * @param {Array<any>} log the entries
+ * @returns {number} number of entries not acknowledged yet
+ */
+function unacknowledged(log) {
+    return log.filter(entry => !entry.acknowledged).length;
+}
+
+/**
+ * build a short text of the active errors, e.g. 'temperature: error, fan: warning (2 unacknowledged)'
+ *
+ * @param {Array<any>} log the entries
+ * @returns {string} the summary
+ */
+function summary(log) {
+    const active = log.filter(entry => entry.end === null);
+    let text = active.length ? active.map(entry => `${entry.category}: ${entry.severity}`).join(', ') : 'OK';
+    const count = unacknowledged(log);
+    if (count) {
+        text += ` (${count} unacknowledged)`;
+    }
+    return text;
+}
+
+module.exports = {
+    CATEGORIES,
+    update,
+    acknowledge,
+    unacknowledged,
+    summary,
+};
@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * Tests for the ring buffer of the ERST errors
+ */
+
+const { expect } = require('chai');
+const errorlog = require('./errorlog');
+
+const now = Date.UTC(2026, 9, 19, 12);
+const ok = { fan: 0, lamp: 0, temperature: 0, cover: 0, filter: 0, other: 0 };
+
+describe('errorlog => update', () => {
+    it('should log an error with its duration', () => {
+        const log = [];
+        let result = errorlog.update(log, Object.assign({}, ok, { temperature: 1 }), 10, now);
+        expect(result.raised).to.have.length(1);
+        expect(log[0]).to.include({ category: 'temperature', severity: 'warning', end: null, acknowledged: false });
+
+        result = errorlog.update(log, Object.assign({}, ok, { temperature: 1 }), 10, now + 1000);
+        expect(result.raised).to.have.length(0);
+
+        result = errorlog.update(log, ok, 10, now + 90000);
+        expect(result.cleared).to.have.length(1);
+        expect(log).to.have.length(1);
+        expect(log[0]).to.include({ end: now + 90000, duration: 90 });
+    });
+
+    it('should start a new entry if the severity changes', () => {
+        const log = [];
+        errorlog.update(log, Object.assign({}, ok, { fan: 1 }), 10, now);
+        errorlog.update(log, Object.assign({}, ok, { fan: 3, lamp: 1 }), 10, now + 10000);
+        expect(log.map(entry => `${entry.category} ${entry.severity} ${entry.duration}`)).to.deep.equal([
+            'lamp warning null',
+            'fan error null',
+            'fan warning 10',
+        ]);
+    });
+
+    it('should drop the oldest finished entries', () => {
+        const log = [];
+        errorlog.update(log, Object.assign({}, ok, { cover: 1 }), 2, now);
+        for (let index = 1; index <= 4; index++) {
+            errorlog.update(log, Object.assign({}, ok, { cover: 1, fan: index % 2 }), 2, now + index * 1000);
+        }
+        expect(log).to.have.length(2);
+        // the active cover warning is the oldest entry but kept
+        expect(log[1]).to.include({ category: 'cover', end: null });
+    });
+});
+
+describe('errorlog => acknowledge and summary', () => {
+    it('should summarize the active errors', () => {
+        const log = [];
+        expect(errorlog.summary(log)).to.equal('OK');
+        errorlog.update(log, Object.assign({}, ok, { fan: 1, temperature: 3 }), 10, now);
+        expect(errorlog.summary(log)).to.equal('temperature: error, fan: warning (2 unacknowledged)');
+        expect(errorlog.acknowledge(log)).to.equal(2);
+        expect(errorlog.unacknowledged(log)).to.equal(0);
+        errorlog.update(log, ok, 10, now + 1000);
+        expect(errorlog.summary(log)).to.equal('OK');
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ *
+ *      library for iobroker pjlink Adapter
+ *
+ *      Modul :     lifetime
+ *      Version:    0.1
+ *      Stand:      19.10.2026
+ *
+ *      Copyright (c) 2025, Bannsaenger <bannsaenger@gmx.de>
+ *
+ *      MIT License
+ *
+ */
+'use strict';
+
+/**
+ * Lifetime forecast for lamps and filters
+ *
+ * The operating hours are sampled once a day. The average daily burn rate is calculated
+ * from the oldest sample in the history (at most MAX_SAMPLES days) and the actual hours.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_SAMPLES = 31;
+
+/**
+ * add the actual operating hours to the history, at most one sample a day
+ *
+ * @param {Array<{ts: number, hours: number}> | undefined} history the samples so far, oldest first
+ * @param {number} hours the actual operating hours
+ * @param {number} [now] the actual time in ms
+ * @returns {Array<{ts: number, hours: number}>} the new history, the same array if nothing changed
+ */
+function addSample(history, hours, now = Date.now()) {
+    if (!Array.isArray(history)) {
+        history = [];
+    }
+    const last = history[history.length - 1];
+    if (last && hours < last.hours) {
+        // the lamp or filter has been replaced and the counter was reset
+        return [{ ts: now, hours: hours }];
+    }
+    if (last && now - last.ts < DAY) {
+        return history;
+    }
+    return history.concat({ ts: now, hours: hours }).slice(-MAX_SAMPLES);
+}
+
+/**
+ * calculate the forecast
+ *
+ * @param {number} hours the actual operating hours
+ * @param {number} ratedLife the rated life in hours, 0 if unknown
+ * @param {Array<{ts: number, hours: number}> | undefined} history the samples, oldest first
+ * @param {number} threshold percentage of the rated life at which the maintenance is due
+ * @param {number} [now] the actual time in ms
+ * @returns {{remainingHours: number|null, percentUsed: number|null, burnRate: number|null, replacementDate: string, maintenanceDue: boolean}} the forecast
+ */
+function forecast(hours, ratedLife, history, threshold, now = Date.now()) {
+    let burnRate = null;
+    const first = Array.isArray(history) ? history[0] : undefined;
+    if (first && now - first.ts >= DAY && hours >= first.hours) {
+        burnRate = Math.round(((hours - first.hours) / ((now - first.ts) / DAY)) * 100) / 100;
+    }
+    if (!ratedLife) {
+        return {
+            remainingHours: null,
+            percentUsed: null,
+            burnRate: burnRate,
+            replacementDate: '',
+            maintenanceDue: false,
+        };
+    }
+    const remainingHours = Math.max(ratedLife - hours, 0);
+    const percentUsed = Math.round((hours / ratedLife) * 1000) / 10;
+    let replacementDate = '';
+    if (remainingHours === 0) {
+        replacementDate = new Date(now).toISOString().substring(0, 10);
+    } else if (burnRate) {
+        const days = Math.floor(remainingHours / burnRate);
+        replacementDate = new Date(now + days * DAY).toISOString().substring(0, 10);
+    }
+    return {
+        remainingHours: remainingHours,
+        percentUsed: percentUsed,
+        burnRate: burnRate,
+        replacementDate: replacementDate,
+        maintenanceDue: percentUsed >= threshold,
+    };
+}
+
+module.exports = {
+    DAY,
+    addSample,
+    forecast,
+};
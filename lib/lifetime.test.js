@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * Tests for the lamp and filter lifetime forecast
+ */
+
+const { expect } = require('chai');
+const lifetime = require('./lifetime');
+
+const now = Date.UTC(2026, 9, 19, 12);
+const DAY = lifetime.DAY;
+
+describe('lifetime => history', () => {
+    it('should take one sample a day', () => {
+        let history = lifetime.addSample(undefined, 100, now);
+        expect(history).to.deep.equal([{ ts: now, hours: 100 }]);
+        const same = lifetime.addSample(history, 105, now + DAY / 2);
+        expect(same).to.equal(history);
+        history = lifetime.addSample(history, 110, now + DAY);
+        expect(history.map(sample => sample.hours)).to.deep.equal([100, 110]);
+    });
+
+    it('should restart the history after a replacement', () => {
+        const history = lifetime.addSample([{ ts: now - DAY, hours: 2900 }], 2, now);
+        expect(history).to.deep.equal([{ ts: now, hours: 2 }]);
+    });
+
+    it('should keep the samples of one month', () => {
+        let history = [];
+        for (let day = 0; day < 40; day++) {
+            history = lifetime.addSample(history, day * 5, now + day * DAY);
+        }
+        expect(history).to.have.length(31);
+        expect(history[0].hours).to.equal(45);
+    });
+});
+
+describe('lifetime => forecast', () => {
+    it('should calculate the remaining hours and the replacement date', () => {
+        const result = lifetime.forecast(1000, 3000, [{ ts: now - 10 * DAY, hours: 900 }], 90, now);
+        expect(result).to.deep.equal({
+            remainingHours: 2000,
+            percentUsed: 33.3,
+            burnRate: 10,
+            replacementDate: '2027-05-07',
+            maintenanceDue: false,
+        });
+    });
+
+    it('should flag the maintenance at the threshold', () => {
+        expect(lifetime.forecast(2700, 3000, [], 90, now)).to.include({ percentUsed: 90, maintenanceDue: true });
+        expect(lifetime.forecast(3100, 3000, [], 90, now)).to.include({
+            remainingHours: 0,
+            replacementDate: '2026-10-19',
+        });
+    });
+
+    it('should not forecast without rated life or burn rate', () => {
+        expect(lifetime.forecast(1000, 0, [{ ts: now - 2 * DAY, hours: 990 }], 90, now)).to.include({
+            remainingHours: null,
+            burnRate: 5,
+            replacementDate: '',
+        });
+        expect(lifetime.forecast(1000, 3000, [{ ts: now - DAY / 2, hours: 990 }], 90, now)).to.include({
+            burnRate: null,
+            replacementDate: '',
+        });
+    });
+});
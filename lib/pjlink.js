@@ -20,21 +20,24 @@ var PJLink = function(host, port, password){
 		"host": "192.168.1.1",
 		"port": 4352,
 		"password": null,
-		"timeout": 0
+		"timeout": 0,
+		"class": 1
 	};
 
-	this.class = 1;
-
 	this._connection = null;
 	this._digest = null;
 	this._cmdQueue = [];
 	this._cmdWaiting = false;
+	this._framer = new pjresponse.Framer();
 
 	var mergedSettings = {};
 	for (var attrname in this.settings) { mergedSettings[attrname] = this.settings[attrname]; }
 	for (var attrname in settings) { mergedSettings[attrname] = settings[attrname]; }
 
 	this.settings = mergedSettings;
+
+	//highest class to use in the command header
+	this.class = parseInt(this.settings.class) || 1;
 };
 
 PJLink.prototype.disconnect = function(){
@@ -168,10 +171,116 @@ PJLink.prototype.getClass = function(cb){
 }
 
 
+/************/
+/*	SERIAL NUMBER (Class 2) 	*/
+/************/
+PJLink.prototype.getSerialNumber = function(cb){
+	this._addCommand(
+		new pjcommand.SerialNumberCommand(cb)
+	);
+}
+
+/************/
+/*	SOFTWARE VERSION (Class 2) 	*/
+/************/
+PJLink.prototype.getSoftwareVersion = function(cb){
+	this._addCommand(
+		new pjcommand.SoftwareVersionCommand(cb)
+	);
+}
+
+/************/
+/*	INPUT NAME (Class 2) 	*/
+/************/
+PJLink.prototype.getInputName = function(input, cb){
+	this._addCommand(
+		new pjcommand.InputNameCommand(input, cb)
+	);
+}
+
+/************/
+/*	RESOLUTION (Class 2) 	*/
+/************/
+PJLink.prototype.getInputResolution = function(cb){
+	this._addCommand(
+		new pjcommand.InputResolutionCommand(cb)
+	);
+}
+
+PJLink.prototype.getRecommendedResolution = function(cb){
+	this._addCommand(
+		new pjcommand.RecommendedResolutionCommand(cb)
+	);
+}
+
+/************/
+/*	FILTER (Class 2) 	*/
+/************/
+PJLink.prototype.getFilterUsageTime = function(cb){
+	this._addCommand(
+		new pjcommand.FilterCommand(cb)
+	);
+}
+
+/************/
+/*	REPLACEMENT MODELS (Class 2) 	*/
+/************/
+PJLink.prototype.getLampReplacementModel = function(cb){
+	this._addCommand(
+		new pjcommand.LampModelCommand(cb)
+	);
+}
+
+PJLink.prototype.getFilterReplacementModel = function(cb){
+	this._addCommand(
+		new pjcommand.FilterModelCommand(cb)
+	);
+}
+
+/************/
+/*	VOLUME (Class 2) 	*/
+/************/
+PJLink.VOLUME = pjcommand.VOLUME;
+
+PJLink.prototype.setSpeakerVolume = function(direction, cb){
+	if(pjcommand.volumeDirection(direction)===null){
+		if(cb) cb(new Error('Invalid volume direction \'' + direction + '\''));
+		return;
+	}
+	this._addCommand(
+		new pjcommand.SpeakerVolumeCommand(direction, cb)
+	);
+}
+
+PJLink.prototype.setMicrophoneVolume = function(direction, cb){
+	if(pjcommand.volumeDirection(direction)===null){
+		if(cb) cb(new Error('Invalid volume direction \'' + direction + '\''));
+		return;
+	}
+	this._addCommand(
+		new pjcommand.MicrophoneVolumeCommand(direction, cb)
+	);
+}
+
+/************/
+/*	FREEZE (Class 2) 	*/
+/************/
+PJLink.prototype.setFreeze = function(val, cb){
+	this._addCommand(
+		new pjcommand.FreezeCommand(val, cb)
+	);
+}
+
+PJLink.prototype.getFreeze = function(cb){
+	this._addCommand(
+		new pjcommand.FreezeCommand(cb)
+	);
+}
 
 //** PRIVATE FUNCTIONS **/
 PJLink.prototype._connect = function(){
 	this._cmdWaiting = true;
+	this._framer.reset();
 	this._connection = net.connect({port: this.settings.port, host: this.settings.host}, this._onConnect.bind(this));
 
 	//callbacks
@@ -194,16 +303,27 @@ PJLink.prototype._onConnect = function(){
 }
 
 PJLink.prototype._onData = function(buffer){
-	var response = pjresponse.parse(buffer);
+	var frames = this._framer.push(buffer);
 
-	if(!response) return; //what went wrong?
+	for(var i=0; i<frames.length; i++){
+		this._onFrame(frames[i]);
+	}
+}
 
-	console.log(JSON.stringify(response, undefined, 1)); // ######################################################################
+PJLink.prototype._onFrame = function(frame){
+	var response;
+
+	try{
+		response = pjresponse.parse(frame);
+	}catch(err){
+		//malformed frame, fail the waiting command with the parse error
+		response = new pjresponse(null, err);
+	}
 
 	//it is a non-error auth command
 	if(response.cmd==pjresponse.AUTH && !response.isError()){
-		if(response.hasArgs() && response.ver == 1){
-			this._calcDigest(response.args[0]);
+		if(response.hasArgs() && (response.ver == 1 || response.ver == 2)){
+			this._calcDigest(response.args[0], response.ver);
 		}
 	}else{
 		//process the first command in the queue
@@ -259,12 +379,13 @@ PJLink.prototype._onTimeout = function(){
 	this._onClose();
 }
 
-PJLink.prototype._calcDigest = function(rand){
-	var md5 = crypto.createHash('md5');
-	md5.setEncoding('hex');
-	md5.write(rand);
-	md5.end(this.settings.password);
-	this._digest = md5.read();
+PJLink.prototype._calcDigest = function(rand, ver){
+	//PJLINK 2 uses SHA-256, PJLINK 1 MD5
+	var hash = crypto.createHash(ver == 2 ? 'sha256' : 'md5');
+	hash.setEncoding('hex');
+	hash.write(rand);
+	hash.end(this.settings.password);
+	this._digest = hash.read();
 }
 
 PJLink.prototype._addCommand = function(cmd){
@@ -282,7 +403,7 @@ PJLink.prototype._sendCommand = function(){
 
 	this._cmdWaiting = true;
 
-	var msg = '%' + this.class + this._cmdQueue[0].toString();
+	var msg = this._cmdQueue[0].getHeader(this.class) + this._cmdQueue[0].toString();
 
 	if(this._digest){
 		msg = this._digest + msg;
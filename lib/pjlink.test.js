@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * Tests for the callback based PJLink client against the simulator
+ */
+
+const { expect } = require('chai');
+const PJLink = require('./pjlink');
+const pjlinksim = require('./pjlinksim');
+
+describe('pjlink => legacy client', () => {
+    let sim;
+    let projector;
+
+    afterEach(async () => {
+        if (projector) {
+            projector.disconnect();
+            projector = undefined;
+        }
+        await sim.stop();
+    });
+
+    it('should query the power state with MD5 authentication', async () => {
+        sim = new pjlinksim({ port: 0, password: 'secret' });
+        const port = await sim.start();
+        projector = new PJLink({ host: '127.0.0.1', port: port, password: 'secret' });
+        const result = await new Promise(resolve => projector.getPowerState((...args) => resolve(args)));
+        expect(result).to.deep.equal([null, PJLink.POWER.OFF]);
+    });
+
+    it('should authenticate with SHA-256', async () => {
+        sim = new pjlinksim({ port: 0, password: 'secret', authVersion: 2, md5Fallback: false });
+        const port = await sim.start();
+        projector = new PJLink({ host: '127.0.0.1', port: port, password: 'secret' });
+        const result = await new Promise(resolve => projector.getPowerState((...args) => resolve(args)));
+        expect(result).to.deep.equal([null, PJLink.POWER.OFF]);
+    });
+
+    it('should send class 2 commands with the class 2 header', async () => {
+        sim = new pjlinksim({ port: 0, class: 2 });
+        const port = await sim.start();
+        projector = new PJLink({ host: '127.0.0.1', port: port, class: 2 });
+        const result = await new Promise(resolve => projector.getSoftwareVersion((...args) => resolve(args)));
+        expect(result).to.deep.equal([null, '1.0.0']);
+        expect(sim.received).to.deep.equal(['%2SVER ?']);
+    });
+
+    it('should reject an invalid volume direction without sending', async () => {
+        sim = new pjlinksim({ port: 0, class: 2 });
+        const port = await sim.start();
+        projector = new PJLink({ host: '127.0.0.1', port: port, class: 2 });
+        const [err] = await new Promise(resolve => projector.setSpeakerVolume('louder', (...args) => resolve(args)));
+        expect(err.message).to.equal("Invalid volume direction 'louder'");
+        expect(sim.received).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,527 @@
+/**
+ *
+ *      library for iobroker pjlink Adapter
+ *
+ *      Modul :     pjlinksim
+ *      Version:    0.1
+ *      Stand:      19.10.2026
+ *
+ *      Copyright (c) 2025, Bannsaenger <bannsaenger@gmx.de>
+ *
+ *      MIT License
+ *
+ */
+'use strict';
+const net = require('net');
+const dgram = require('dgram');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+/**
+ * In-process PJLink projector simulator for tests and demos
+ *
+ * options:
+ * port:            TCP port to listen on, 0 for a random port (default: 4352)
+ * host:            address to bind to (default: '127.0.0.1')
+ * class:           1 or 2, class 2 commands are answered with ERR1 on a class 1 projector (default: 1)
+ * password:        null for security disabled (PJLINK 0)
+ * authVersion:     1 for the MD5 (PJLINK 1), 2 for the SHA-256 (PJLINK 2) authentication (default: 1)
+ * sha256:          with authVersion 2 the SHA-256 digest is accepted (default: true)
+ * md5Fallback:     with authVersion 2 the MD5 digest is accepted as well (default: true)
+ * warmupTime:      time in ms the projector stays in power state 3 (warming up) (default: 0)
+ * cooldownTime:    time in ms the projector stays in power state 2 (cooling down) (default: 0)
+ * idleTimeout:     the connection is closed after this time in ms without a command (default: 30000)
+ * state:           initial values, see DEFAULT_STATE
+ * udpPort:         UDP port for the class 2 search (SRCH/ACKN) and the notifications, 0 for a random port (default: no UDP)
+ * mac:             MAC address sent with ACKN (default: '00:00:5e:00:53:01')
+ *
+ * events emitted:
+ * 'connection'     ()                  a controller has connected
+ * 'command'        (telegram)          a command has been received (without digest)
+ * 'power'          (status)            the power status has changed
+ * 'search'         (rinfo)             a search request (SRCH) has been received over UDP
+ */
+const DEFAULT_STATE = {
+    power: 0, // 0 = off, 1 = on, 2 = cooling down, 3 = warming up
+    input: '31',
+    inputs: ['11', '12', '31', '32', '51'],
+    inputNames: { 11: 'RGB 1', 12: 'RGB 2', 31: 'HDMI 1', 32: 'HDMI 2', 51: 'LAN' },
+    mute: '30',
+    errors: '000000', // fan, lamp, temperature, cover, filter, other
+    lamps: [{ hours: 1234 }], // the lamp is on if the projector is on
+    name: 'Simulated projector',
+    manufacturer: 'ioBroker',
+    model: 'PJLink simulator',
+    info: 'Simulator',
+    serialNumber: 'SIM0001',
+    softwareVersion: '1.0.0',
+    inputResolution: '1920x1080',
+    recommendedResolution: '1920x1080',
+    filterHours: 321,
+    lampModel: 'LMP-1',
+    filterModel: 'FLT-1',
+    freeze: '0',
+    speakerVolume: 10,
+    microphoneVolume: 5,
+};
+
+/** Class simulating a PJLink projector */
+module.exports = class pjlinksim extends EventEmitter {
+    /**
+     * Creates a new simulated projector
+     *
+     * @param {object} options - Options for the projector, see above
+     */
+    constructor(options = {}) {
+        super();
+        this.port = options.port === undefined ? 4352 : options.port;
+        this.host = options.host || '127.0.0.1';
+        this.class = options.class || 1;
+        this.password = options.password || null;
+        this.authVersion = options.authVersion || 1;
+        this.sha256 = options.sha256 !== false;
+        this.md5Fallback = options.md5Fallback !== false;
+        this.warmupTime = options.warmupTime || 0;
+        this.cooldownTime = options.cooldownTime || 0;
+        this.idleTimeout = options.idleTimeout || 30000;
+        this.state = Object.assign(JSON.parse(JSON.stringify(DEFAULT_STATE)), options.state || {});
+        this.udpPort = options.udpPort;
+        this.mac = options.mac || '00:00:5e:00:53:01';
+
+        this.server = undefined;
+        this.sockets = new Set();
+        this.injected = []; // errors to answer instead of the real answer
+        this.dropped = []; // commands not to answer
+        this.replaced = []; // raw telegrams to answer instead of the real answer
+        this.connections = 0; // number of connections accepted since start
+        this.received = []; // all received commands (without digest)
+        this.powerTimer = undefined;
+        this.udp = undefined;
+    }
+
+    /**
+     * start listening
+     *
+     * @returns {Promise<number>} the port the simulator listens on
+     */
+    async start() {
+        await new Promise((resolve, reject) => {
+            this.server = net.createServer(this.onConnection.bind(this));
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                // @ts-expect-error address() is an object for TCP servers
+                this.port = this.server.address().port;
+                resolve(this.port);
+            });
+        });
+        if (this.udpPort !== undefined) {
+            await new Promise((resolve, reject) => {
+                const udp = dgram.createSocket('udp4');
+                udp.once('error', reject);
+                udp.on('message', this.onUdpMessage.bind(this));
+                udp.bind(this.udpPort, this.host, () => {
+                    this.udpPort = udp.address().port;
+                    resolve(this.udpPort);
+                });
+                this.udp = udp;
+            });
+        }
+        return this.port;
+    }
+
+    /**
+     * close all connections and stop listening
+     *
+     * @returns {Promise<void>}
+     */
+    stop() {
+        clearTimeout(this.powerTimer);
+        this.powerTimer = undefined;
+        this.dropConnections();
+        if (this.udp) {
+            this.udp.close();
+            this.udp = undefined;
+        }
+        return new Promise(resolve => {
+            if (!this.server) {
+                resolve();
+                return;
+            }
+            this.server.close(() => resolve());
+            this.server = undefined;
+        });
+    }
+
+    /**
+     * close all open connections, e.g. to simulate a network failure
+     */
+    dropConnections() {
+        for (const socket of this.sockets) {
+            socket.destroy();
+        }
+        this.sockets.clear();
+    }
+
+    /**
+     * send a telegram over UDP to a controller, e.g. a status notification '%2POWR=1' or '%2LKUP=<mac>'
+     *
+     * @param {string} telegram the telegram without the trailing CR
+     * @param {number} port the UDP port of the controller
+     * @param {string} address the address of the controller
+     * @returns {Promise<void>}
+     */
+    notify(telegram, port, address = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            if (!this.udp) {
+                reject(new Error('UDP not enabled'));
+                return;
+            }
+            this.udp.send(`${telegram}\r`, port, address, err => (err ? reject(err) : resolve()));
+        });
+    }
+
+    /**
+     * called for every UDP datagram, a class 2 projector answers the search request with its MAC address
+     *
+     * @param {Buffer} msg the received data
+     * @param {dgram.RemoteInfo} rinfo info about the sender
+     */
+    onUdpMessage(msg, rinfo) {
+        for (const telegram of msg.toString().split('\r')) {
+            if (/^%2SRCH$/i.test(telegram) && this.class > 1) {
+                this.emit('search', rinfo);
+                this.notify(`%2ACKN=${this.mac}`, rinfo.port, rinfo.address).catch(() => {});
+            }
+        }
+    }
+
+    /**
+     * answer the next command(s) with an error
+     *
+     * @param {string} cmd the command (e.g. 'POWR'), '*' for every command or 'AUTH' to reject the next digest
+     * @param {string} error 'ERR1', 'ERR2', 'ERR3', 'ERR4' or 'ERRA'
+     * @param {number} count number of answers to replace
+     */
+    injectError(cmd, error, count = 1) {
+        this.injected.push({ cmd: cmd, error: error, count: count });
+    }
+
+    /**
+     * answer the next command(s) with the given telegram, e.g. to test malformed answers
+     *
+     * @param {string} cmd the command (e.g. 'POWR') or '*' for every command
+     * @param {string} answer the telegram sent instead of the answer, without the trailing CR
+     * @param {number} count number of answers to replace
+     */
+    injectAnswer(cmd, answer, count = 1) {
+        this.replaced.push({ cmd: cmd, answer: answer, count: count });
+    }
+
+    /**
+     * do not answer the next command(s), e.g. to test timeouts
+     *
+     * @param {string} cmd the command (e.g. 'NAME') or '*' for every command
+     * @param {number} count number of commands not to answer
+     */
+    dropAnswer(cmd, count = 1) {
+        this.dropped.push({ cmd: cmd, count: count });
+    }
+
+    /**
+     * set the power status and start the transition timer if warming up or cooling down
+     *
+     * @param {number} status the new power status
+     */
+    setPower(status) {
+        clearTimeout(this.powerTimer);
+        this.powerTimer = undefined;
+        this.state.power = status;
+        this.emit('power', status);
+        if (status === 3) {
+            this.powerTimer = setTimeout(() => this.setPower(1), this.warmupTime);
+        } else if (status === 2) {
+            this.powerTimer = setTimeout(() => this.setPower(0), this.cooldownTime);
+        }
+    }
+
+    /**
+     * take one matching entry from a list of injected errors, replaced or dropped answers
+     *
+     * @param {Array<object>} list the list
+     * @param {string} cmd the command
+     * @returns {object | undefined} the entry
+     */
+    take(list, cmd) {
+        const index = list.findIndex(item => item.cmd === cmd || (item.cmd === '*' && cmd !== 'AUTH'));
+        if (index < 0) {
+            return undefined;
+        }
+        const item = list[index];
+        if (--item.count <= 0) {
+            list.splice(index, 1);
+        }
+        return item;
+    }
+
+    /**
+     * called for every new connection
+     *
+     * @param {net.Socket} socket the socket of the controller
+     */
+    onConnection(socket) {
+        this.connections++;
+        this.sockets.add(socket);
+        this.emit('connection');
+        const session = { rand: '', authenticated: !this.password, buffer: '' };
+        if (this.password) {
+            session.rand = crypto.randomBytes(4).toString('hex');
+            socket.write(`PJLINK ${this.authVersion} ${session.rand}\r`);
+        } else {
+            socket.write('PJLINK 0\r');
+        }
+        socket.setTimeout(this.idleTimeout);
+        socket.on('timeout', () => socket.destroy());
+        socket.on('error', () => {});
+        socket.on('close', () => this.sockets.delete(socket));
+        socket.on('data', data => {
+            session.buffer += data.toString();
+            let index;
+            while ((index = session.buffer.indexOf('\r')) >= 0) {
+                const telegram = session.buffer.substring(0, index);
+                session.buffer = session.buffer.substring(index + 1);
+                const answer = this.onTelegram(session, telegram);
+                if (answer === null) {
+                    // authentication failed
+                    socket.end('PJLINK ERRA\r');
+                    return;
+                }
+                if (answer) {
+                    socket.write(`${answer}\r`);
+                }
+            }
+        });
+    }
+
+    /**
+     * check the digest, the first command after the greeting has to start with it
+     *
+     * @param {object} session the connection related data
+     * @param {string} telegram the received telegram
+     * @returns {string | null} the telegram without digest or null if the authentication failed
+     */
+    authenticate(session, telegram) {
+        const accepted = [];
+        if (this.authVersion === 2 && this.sha256) {
+            accepted.push(
+                crypto
+                    .createHash('sha256')
+                    .update(session.rand + this.password)
+                    .digest('hex'),
+            );
+        }
+        if (this.authVersion === 1 || this.md5Fallback) {
+            accepted.push(
+                crypto
+                    .createHash('md5')
+                    .update(session.rand + this.password)
+                    .digest('hex'),
+            );
+        }
+        const digest = accepted.find(item => telegram.startsWith(item));
+        if (!digest || this.take(this.injected, 'AUTH')) {
+            return null;
+        }
+        session.authenticated = true;
+        return telegram.substring(digest.length);
+    }
+
+    /**
+     * process one telegram
+     *
+     * @param {object} session the connection related data
+     * @param {string} telegram the received telegram
+     * @returns {string | null | undefined} the answer, undefined for no answer, null if the authentication failed
+     */
+    onTelegram(session, telegram) {
+        if (!session.authenticated) {
+            const command = this.authenticate(session, telegram);
+            if (command === null) {
+                return null;
+            }
+            telegram = command;
+        }
+        const match = /^%([12])(\w{4}) (.*)$/.exec(telegram);
+        if (!match) {
+            return undefined;
+        }
+        const [, cls, cmd, param] = match;
+        this.received.push(`%${cls}${cmd} ${param}`);
+        this.emit('command', `%${cls}${cmd} ${param}`);
+        if (this.take(this.dropped, cmd)) {
+            return undefined;
+        }
+        const replaced = this.take(this.replaced, cmd);
+        if (replaced) {
+            return replaced.answer;
+        }
+        const injected = this.take(this.injected, cmd);
+        if (injected) {
+            return `%${cls}${cmd}=${injected.error}`;
+        }
+        return `%${cls}${cmd}=${this.execute(parseInt(cls), cmd, param)}`;
+    }
+
+    /**
+     * execute a command
+     *
+     * @param {number} cls the class from the header
+     * @param {string} cmd the command
+     * @param {string} param the parameter
+     * @returns {string} the answer
+     */
+    execute(cls, cmd, param) {
+        if (cls > this.class) {
+            return 'ERR1';
+        }
+        const state = this.state;
+        const powered = state.power === 1;
+        const query = param.startsWith('?');
+        switch (cmd) {
+            case 'POWR':
+                if (query) {
+                    return `${state.power}`;
+                }
+                if (param !== '0' && param !== '1') {
+                    return 'ERR2';
+                }
+                if (state.power === 2 || state.power === 3) {
+                    return 'ERR3';
+                }
+                if (param === '1' && state.power === 0) {
+                    this.setPower(3);
+                } else if (param === '0' && state.power === 1) {
+                    this.setPower(2);
+                }
+                return 'OK';
+            case 'INPT':
+                if (!powered) {
+                    return 'ERR3';
+                }
+                if (query) {
+                    return state.input;
+                }
+                if (!state.inputs.includes(param.toUpperCase())) {
+                    return 'ERR2';
+                }
+                state.input = param.toUpperCase();
+                return 'OK';
+            case 'AVMT':
+                if (!powered) {
+                    return 'ERR3';
+                }
+                if (query) {
+                    return state.mute;
+                }
+                if (!['10', '11', '20', '21', '30', '31'].includes(param)) {
+                    return 'ERR2';
+                }
+                {
+                    // video and audio mute are set separately, 3x sets both
+                    let video = state.mute === '11' || state.mute === '31';
+                    let audio = state.mute === '21' || state.mute === '31';
+                    if (param[0] !== '2') {
+                        video = param[1] === '1';
+                    }
+                    if (param[0] !== '1') {
+                        audio = param[1] === '1';
+                    }
+                    state.mute = video && audio ? '31' : video ? '11' : audio ? '21' : '30';
+                }
+                return 'OK';
+            case 'ERST':
+                return query ? state.errors : 'ERR2';
+            case 'LAMP':
+                return query ? state.lamps.map(lamp => `${lamp.hours} ${powered ? 1 : 0}`).join(' ') : 'ERR2';
+            case 'INST':
+                // class 1 only knows numeric inputs
+                return query ? state.inputs.filter(input => cls > 1 || /^\d+$/.test(input)).join(' ') : 'ERR2';
+            case 'NAME':
+                return query ? state.name : 'ERR2';
+            case 'INF1':
+                return query ? state.manufacturer : 'ERR2';
+            case 'INF2':
+                return query ? state.model : 'ERR2';
+            case 'INFO':
+                return query ? state.info : 'ERR2';
+            case 'CLSS':
+                return query ? `${this.class}` : 'ERR2';
+            case 'SNUM':
+                return query ? state.serialNumber : 'ERR2';
+            case 'SVER':
+                return query ? state.softwareVersion : 'ERR2';
+            case 'INNM': {
+                const input = param.substring(1).toUpperCase();
+                if (!query || !state.inputs.includes(input)) {
+                    return 'ERR2';
+                }
+                return state.inputNames[input] || '';
+            }
+            case 'IRES':
+                if (!query) {
+                    return 'ERR2';
+                }
+                return powered ? state.inputResolution : 'ERR3';
+            case 'RRES':
+                return query ? state.recommendedResolution : 'ERR2';
+            case 'FILT':
+                return query ? `${state.filterHours}` : 'ERR2';
+            case 'RLMP':
+                return query ? state.lampModel : 'ERR2';
+            case 'RFIL':
+                return query ? state.filterModel : 'ERR2';
+            case 'SVOL':
+            case 'MVOL': {
+                if (param !== '0' && param !== '1') {
+                    return 'ERR2';
+                }
+                if (!powered) {
+                    return 'ERR3';
+                }
+                const key = cmd === 'SVOL' ? 'speakerVolume' : 'microphoneVolume';
+                state[key] = Math.min(Math.max(state[key] + (param === '1' ? 1 : -1), 0), 20);
+                return 'OK';
+            }
+            case 'FREZ':
+                if (!powered) {
+                    return 'ERR3';
+                }
+                if (query) {
+                    return state.freeze;
+                }
+                if (param !== '0' && param !== '1') {
+                    return 'ERR2';
+                }
+                state.freeze = param;
+                return 'OK';
+            default:
+                return 'ERR1';
+        }
+    }
+};
+
+module.exports.DEFAULT_STATE = DEFAULT_STATE;
+
+// started directly: node lib/pjlinksim.js [port] [class] [password]
+if (require.main === module) {
+    const sim = new module.exports({
+        port: parseInt(process.argv[2]) || 4352,
+        host: '0.0.0.0',
+        class: parseInt(process.argv[3]) || 2,
+        password: process.argv[4] || null,
+        warmupTime: 10000,
+        cooldownTime: 10000,
+    });
+    sim.on('command', telegram => console.log(`received: ${telegram}`));
+    sim.on('power', status => console.log(`power status: ${status}`));
+    sim.start().then(port => console.log(`PJLink simulator (class ${sim.class}) listening on port ${port}`));
+}
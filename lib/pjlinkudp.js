@@ -0,0 +1,235 @@
+/**
+ *
+ *      library for iobroker pjlink Adapter
+ *
+ *      Modul :     pjlinkudp
+ *      Version:    0.1
+ *      Stand:      19.10.2026
+ *
+ *      Copyright (c) 2025, Bannsaenger <bannsaenger@gmx.de>
+ *
+ *      MIT License
+ *
+ */
+'use strict';
+const dgram = require('dgram');
+const EventEmitter = require('events');
+const pjresponse = require('./response');
+
+/**
+ * PJLink class 2 UDP communication (port 4352)
+ *
+ * SRCH:    search request from the controller (broadcast or unicast)
+ * ACKN:    answer to the search request with the MAC address of the projector
+ * LKUP:    the projector has linked up to the network and is ready for communication
+ * POWR, INPT, AVMT, ERST:  status notifications pushed by the projector
+ *
+ * events emitted:
+ * 'listening'      ()
+ * 'ackn'           (mac, rinfo)
+ * 'lkup'           (mac, rinfo)
+ * 'notification'   (response, rinfo)
+ * 'error'          (err)
+ */
+const UDP_PORT = 4352;
+const NOTIFICATIONS = ['POWR', 'INPT', 'AVMT', 'ERST'];
+// used if no ioBroker log is given, e.g. in scripts and tests
+const silentLogger = { silly: () => {}, debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+/** Class encapsuling the PJLink class 2 UDP communication */
+module.exports = class pjlinkudp extends EventEmitter {
+    /**
+     * Creates a new PJLink UDP instance
+     *
+     * @param {object} options - Options for the whole instance
+     */
+    constructor(options = {}) {
+        super();
+        // udp port to listen on and to send to, 0 for a random port
+        this.port = options.port === undefined ? UDP_PORT : options.port;
+        this.address = options.address || '0.0.0.0';   // local address to bind to
+        this.remotePort = options.remotePort;           // udp port of the projectors, default: the same as port
+
+        // the ioBroker class log, without logger nothing is logged
+        this.log = typeof options.logger === 'object' ? options.logger : silentLogger;
+
+        this.socket = undefined;
+    }
+
+    /**
+     * open the socket and start listening
+     *
+     * @returns {Promise<void>}
+     */
+    open() {
+        return new Promise((resolve, reject) => {
+            if (this.socket) {
+                resolve();
+                return;
+            }
+            const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+            const onBindError = err => {
+                this.socket = undefined;
+                socket.close();
+                reject(err);
+            };
+            socket.once('error', onBindError);
+            socket.on('message', this.onMessage.bind(this));
+            socket.bind(this.port, this.address, () => {
+                socket.removeListener('error', onBindError);
+                socket.on('error', this.onError.bind(this));
+                this.port = socket.address().port;
+                socket.setBroadcast(true);
+                this.log.debug(`PJLink UDP listening on ${this.address}:${this.port}`);
+                this.emit('listening');
+                resolve();
+            });
+            this.socket = socket;
+        });
+    }
+
+    /**
+     * close the socket
+     */
+    close() {
+        if (this.socket) {
+            try {
+                this.socket.close();
+            } catch (err) {
+                this.errorHandler(err, 'close');
+            }
+            this.socket = undefined;
+        }
+    }
+
+    /**
+     * send a search request. Unicast to a projector registers this controller for status notifications,
+     * broadcast is used for discovery
+     *
+     * @param {string} address the address of the projector or the broadcast address
+     * @returns {Promise<void>}
+     */
+    search(address = '255.255.255.255') {
+        return this.send('%2SRCH', address);
+    }
+
+    /**
+     * search for projectors and collect the ACKN answers until the timeout
+     *
+     * @param {number} timeout time in ms to collect the answers
+     * @param {string} address the broadcast address or the address of one projector
+     * @returns {Promise<Array<{address: string, mac: string}>>} the found projectors, each address once
+     */
+    async discover(timeout, address = '255.255.255.255') {
+        const found = new Map();
+        const onAckn = (mac, rinfo) => {
+            this.log.debug(`PJLink discovery found projector ${rinfo.address} (MAC: ${mac})`);
+            found.set(rinfo.address, { address: rinfo.address, mac: mac });
+        };
+        this.on('ackn', onAckn);
+        try {
+            await this.search(address);
+            await new Promise(resolve => setTimeout(resolve, timeout));
+        } finally {
+            this.removeListener('ackn', onAckn);
+        }
+        return Array.from(found.values());
+    }
+
+    /**
+     * send a raw telegram
+     *
+     * @param {string} telegram the telegram without trailing CR
+     * @param {string} address the destination address
+     * @returns {Promise<void>}
+     */
+    send(telegram, address) {
+        return new Promise((resolve, reject) => {
+            if (!this.socket) {
+                reject(new Error('UDP socket not open'));
+                return;
+            }
+            const port = this.remotePort || this.port;
+            this.socket.send(`${telegram}\r`, port, address, err => {
+                if (err) {
+                    reject(err);
+                } else {
+                    this.log.debug(`PJLink UDP sent '${telegram}' to ${address}:${port}`);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * called if a datagram is received
+     *
+     * @param {Buffer} msg the received data
+     * @param {dgram.RemoteInfo} rinfo info about the sender
+     */
+    onMessage(msg, rinfo) {
+        try {
+            // one datagram may hold more than one telegram, each terminated by CR
+            for (const telegram of msg.toString().split('\r')) {
+                if (!telegram.startsWith('%')) {
+                    continue;
+                }
+                this.log.debug(`PJLink UDP received '${telegram}' from ${rinfo.address}:${rinfo.port}`);
+                let response;
+                try {
+                    response = pjresponse.parse(telegram);
+                } catch (err) {
+                    // our own SRCH broadcasts have no answer part and end up here as well
+                    if (!(err instanceof pjresponse.ParseError)) {
+                        throw err;
+                    }
+                    continue;
+                }
+                if (response.cmd === 'ACKN') {
+                    this.emit('ackn', response.hasArgs() ? response.getArgs()[0] : '', rinfo);
+                } else if (response.cmd === 'LKUP') {
+                    this.emit('lkup', response.hasArgs() ? response.getArgs()[0] : '', rinfo);
+                } else if (NOTIFICATIONS.includes(response.cmd)) {
+                    this.emit('notification', response, rinfo);
+                }
+            }
+        } catch (err) {
+            this.errorHandler(err, 'onMessage');
+        }
+    }
+
+    /**
+     * called on socket errors
+     *
+     * @param {Error} err the error
+     */
+    onError(err) {
+        this.log.warn(`PJLink UDP socket error: ${err.message}`);
+        this.emitError(err);
+    }
+
+    /**
+     * emit an error, but only if someone listens. Otherwise the EventEmitter would throw
+     *
+     * @param {Error} err the error to emit
+     */
+    emitError(err) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', err);
+        }
+    }
+
+    /**
+     * Called on error situations and from catch blocks
+     *
+     * @param {any} err the error to log
+     * @param {string} module the module in which the error occured
+     */
+    errorHandler(err, module = '') {
+        this.log.error(`PJLink(udp) error in method: [${module}] error: ${err.message}, stack: ${err.stack}`);
+    }
+};
+
+module.exports.UDP_PORT = UDP_PORT;
+module.exports.NOTIFICATIONS = NOTIFICATIONS;
+
@@ -0,0 +1,163 @@
+'use strict';
+
+/**
+ * Tests for the PJLink class 2 UDP communication
+ */
+
+const { expect } = require('chai');
+const dgram = require('dgram');
+const pjlinkudp = require('./pjlinkudp');
+const pjlinksim = require('./pjlinksim');
+
+/**
+ * wait for the next event of an emitter
+ *
+ * @param {import('events').EventEmitter} emitter the emitter
+ * @param {string} event the name of the event
+ * @returns {Promise<Array<any>>} the arguments of the event
+ */
+function next(emitter, event) {
+    return new Promise(resolve => emitter.once(event, (...args) => resolve(args)));
+}
+
+describe('pjlinkudp => socket', () => {
+    let udp;
+
+    afterEach(() => {
+        if (udp) {
+            udp.close();
+            udp = undefined;
+        }
+    });
+
+    it('should reject and close the socket if the bind fails', async () => {
+        // an address which is not on this host
+        udp = new pjlinkudp({ port: 0, address: '192.0.2.1' });
+        const createSocket = dgram.createSocket;
+        let socket;
+        dgram.createSocket = options => (socket = createSocket(options));
+        const opening = udp.open();
+        dgram.createSocket = createSocket;
+        const closed = new Promise(resolve => socket.once('close', resolve));
+        await opening.then(
+            () => expect.fail('open should fail'),
+            err => expect(err.message).to.contain('EADDRNOTAVAIL'),
+        );
+        await closed;
+        expect(udp.socket).to.be.undefined;
+    });
+
+    it('should not throw on socket errors without an error listener', async () => {
+        udp = new pjlinkudp({ port: 0, address: '127.0.0.1' });
+        await udp.open();
+        const socket = udp.socket;
+        if (!socket) {
+            expect.fail('the socket should be open');
+        }
+        expect(() => socket.emit('error', new Error('socket failure'))).not.to.throw();
+
+        const errors = [];
+        udp.on('error', err => errors.push(err.message));
+        socket.emit('error', new Error('socket failure'));
+        expect(errors).to.deep.equal(['socket failure']);
+    });
+});
+
+describe('pjlinkudp => messages', () => {
+    let udp;
+    let sim;
+
+    beforeEach(async () => {
+        sim = new pjlinksim({ port: 0, class: 2, udpPort: 0, mac: '00:11:22:33:44:55' });
+        await sim.start();
+        udp = new pjlinkudp({ port: 0, address: '127.0.0.1', remotePort: sim.udpPort });
+        await udp.open();
+    });
+
+    afterEach(async () => {
+        udp.close();
+        await sim.stop();
+    });
+
+    it('should send the search request and receive the ACKN', async () => {
+        const ackn = next(udp, 'ackn');
+        await udp.search('127.0.0.1');
+        const [mac, rinfo] = await ackn;
+        expect(mac).to.equal('00:11:22:33:44:55');
+        expect(rinfo.port).to.equal(sim.udpPort);
+    });
+
+    it('should emit the link up', async () => {
+        const lkup = next(udp, 'lkup');
+        await sim.notify('%2LKUP=00:11:22:33:44:55', udp.port);
+        expect((await lkup)[0]).to.equal('00:11:22:33:44:55');
+    });
+
+    it('should parse the status notifications, also several in one datagram', async () => {
+        const received = [];
+        udp.on('notification', response => received.push(`${response.cmd}=${response.getArgs().join(' ')}`));
+        const done = new Promise(resolve => udp.on('notification', () => received.length === 4 && resolve(true)));
+        await sim.notify('%2POWR=1\r%2INPT=3B', udp.port);
+        await sim.notify('%2AVMT=31', udp.port);
+        await sim.notify('%2ERST=000100', udp.port);
+        await done;
+        expect(received).to.deep.equal(['POWR=1', 'INPT=3B', 'AVMT=31', 'ERST=000100']);
+    });
+
+    it('should ignore malformed telegrams and other commands', async () => {
+        const received = [];
+        udp.on('notification', response => received.push(response.cmd));
+        const done = new Promise(resolve =>
+            udp.on('notification', response => response.cmd === 'POWR' && resolve(true)),
+        );
+        await sim.notify('%2SRCH', udp.port);
+        await sim.notify('%2NAME=Projector', udp.port);
+        await sim.notify('garbage\r%2POWR', udp.port);
+        await sim.notify('%2POWR=0', udp.port);
+        await done;
+        expect(received).to.deep.equal(['POWR']);
+    });
+});
+
+describe('pjlinkudp => discovery', () => {
+    let udp;
+    let sim;
+
+    afterEach(async () => {
+        udp.close();
+        if (sim) {
+            await sim.stop();
+            sim = undefined;
+        }
+    });
+
+    it('should collect the answering projectors until the timeout', async () => {
+        sim = new pjlinksim({ port: 0, class: 2, udpPort: 0, mac: '00:11:22:33:44:55' });
+        await sim.start();
+        udp = new pjlinkudp({ port: 0, address: '127.0.0.1', remotePort: sim.udpPort });
+        await udp.open();
+        const start = Date.now();
+        expect(await udp.discover(150, '127.0.0.1')).to.deep.equal([
+            { address: '127.0.0.1', mac: '00:11:22:33:44:55' },
+        ]);
+        expect(Date.now() - start).to.be.at.least(140);
+        expect(udp.listenerCount('ackn')).to.equal(0);
+    });
+
+    it('should return no projector if none answers within the timeout', async () => {
+        // a class 1 projector does not answer the search request
+        sim = new pjlinksim({ port: 0, class: 1, udpPort: 0 });
+        await sim.start();
+        udp = new pjlinkudp({ port: 0, address: '127.0.0.1', remotePort: sim.udpPort });
+        await udp.open();
+        expect(await udp.discover(100, '127.0.0.1')).to.deep.equal([]);
+    });
+
+    it('should reject the discovery without an open socket', async () => {
+        udp = new pjlinkudp({ port: 0 });
+        await udp.discover(100, '127.0.0.1').then(
+            () => expect.fail('discover should fail'),
+            err => expect(err.message).to.equal('UDP socket not open'),
+        );
+    });
+});
@@ -3,8 +3,8 @@
  *      library for iobroker pjlink Adapter
  *
  *      Modul :     pjlinkv2
- *      Version:    0.1
- *      Stand:      07.09.2025
+ *      Version:    0.2
+ *      Stand:      19.10.2026
  *
  *      Copyright (c) 2025, Bannsaenger <bannsaenger@gmx.de>
  *
@@ -14,34 +14,60 @@
 'use strict';
 const net = require('net');
 const crypto = require('crypto');
+const EventEmitter = require('events');
+const pjcommand = require('./command');
+const pjresponse = require('./response');
 
 /**
  * connectionState:
  * NEW:                 When no connection attempt was made till now
  * CONNECTING:          When the connection attempt is running
  * CONNECTED:           When everytiung runs fine. Also when no authentication is needed, then the connection is established without any further doing
- * AUTH1:               When the old authentication is supported
- * AUTH2:               When we have to use the new authentication process
+ * AUTH1:               When the old authentication is supported (PJLINK 1, MD5 digest)
+ * AUTH2:               When we have to use the new authentication process (PJLINK 2, SHA-256 digest)
  * READY:               After all authentication is done and we can send data
  * CLOSED:              When something closed the client
  * FAILED:              When a connection attempt failed
  * RECONNECT_WAITING:   When the connection has failed and the reconnect time is running, also for ICMP checking
+ *
+ * authMethod:
+ * 'none':              The projector has security disabled (PJLINK 0)
+ * 'MD5':               The projector sent PJLINK 1 or did not accept the SHA-256 digest
+ * 'SHA-256':           The projector sent PJLINK 2 and accepted the SHA-256 digest
+ *
+ * events emitted:
+ * 'connected'          ()                          after the greeting without security or the first answer accepting the digest
+ * 'disconnected'       ()                          when the connection has been closed
+ * 'stateChanged'       (cmd, value, oldValue)      when the result of a query differs from the last one
+ * 'roundTrip'          (cmd, ms)                   round trip time of every answered command
+ * 'queueLength'        (length)                    number of queued commands (sent and waiting to be sent)
+ *
+ * command queue:
+ * Set commands are queued in front of the queries which are not sent yet. A query which is already
+ * queued is not queued twice, the caller gets the answer of the pending one. Every sent command
+ * fails with 'Response timeout' if the answer does not arrive within the command timeout.
+ * 'error'              (err)                       on connection errors, only if someone listens
  */
 
 /** Class encapsuling the basic PJLink communication */
-module.exports = class pjlink {
+module.exports = class pjlink extends EventEmitter {
     /**
      * Creates a new PJLink communication instance
      *
      * @param {object} options - Options for the whole instance
      */
     constructor(options = {}) {
+        super();
         // Parse all options and set defaults
         this.host = options.host || '127.0.0.1';    // address or name of the projector
         this.port = options.port || 4352;           // tcp port of the projector
-        this.class = options.class || 1;            // for now only clas 1 is supported
-        this.password = options.password || null,   // null, if no password/security needed
-        this.socketTimeout = options.socketTimeout|| 800; // time to wait for connection
+        this.class = options.class || 1;            // highest class to use in the command header
+        this.password = options.password || null;   // null, if no password/security needed
+        this.socketTimeout = options.socketTimeout || options.timeout || 800; // time to wait for connection
+        this.persistent = options.persistent || false; // keep one session open instead of closing it when idle
+        this.keepalive = options.keepalive || 20000; // idle time in ms after which a keepalive query is sent in persistent mode
+        this.pipeline = Math.max(parseInt(options.pipeline) || 1, 1); // commands sent without waiting for the answer
+        this.commandTimeout = options.commandTimeout || 2000; // time in ms to wait for the answer to a command
 
         // Init Logger, if object it should be a iobroker class log
         if (typeof options.logger === 'object') {
@@ -50,16 +76,306 @@ module.exports = class pjlink {
             this.log = new scriptLogger();
         }
 
-        if (this.class != 1) {
-            this.log.error(`Only class 1 supported for now`);
+        if (this.class != 1 && this.class != 2) {
+            this.log.error(`Only class 1 and 2 supported. Falling back to class 1`);
             this.class = 1;
         }
 
-        this.cmdWaiting = false;
+        this.connection = undefined;
+        this.cmdQueue = [];         // commands waiting to be sent. The first one is the one in progress
+        this.cmdInFlight = 0;       // number of commands sent with pending answer. These are the first ones in the queue
+        this.roundTripTime = 0;     // round trip time of the last answered command in ms
+        this.keepaliveTimer = undefined;
+        this.digest = null;         // the digest to prepend to the next command
+        this.framer = new pjresponse.Framer(); // splits the received data into telegrams
+        this.status = {};           // last results of the queries, used to detect changes
         this.connectionState = 'NEW';
+        this.authMethod = '';       // negotiated authentication, see above. Empty until the projector accepted it
+        this.offeredAuthMethod = '';// authentication of the digest sent, becomes authMethod with the first answer
+        this.md5Fallback = false;   // true if the projector did not accept the SHA-256 digest
+
+        //callbacks
+        this.dataCB = this.onClientData.bind(this, this.host);
+        this.errorCB = this.onClientError.bind(this, this.host);
+        this.closeCB = this.onClientClose.bind(this, this.host);
+        this.timeoutCB = this.onClientTimeout.bind(this, this.host);
 
-        this.log.info(`projector instance for host: ${this.host} created`);
+        this.log.debug(`projector instance for host: ${this.host} created`);
     }
+
+    /**********************************************************************************************
+     * Public API
+     **********************************************************************************************/
+    /* #region public api */
+    /**
+     * true if a command has been sent and the answer is pending
+     *
+     * @returns {boolean}
+     */
+    get cmdWaiting() {
+        return this.cmdInFlight > 0;
+    }
+
+    /**
+     * true if an authenticated session to the projector is open
+     *
+     * @returns {boolean}
+     */
+    get connected() {
+        return this.connectionState === 'READY';
+    }
+
+    /**
+     * close the connection and reject all pending commands
+     */
+    disconnect() {
+        this.rejectAll(new Error(pjresponse.ERRORS.ERRD));
+        this.resetConnection();
+    }
+
+    /**
+     * queue a command and wait for the answer
+     *
+     * @param {object} command a command object from lib/command.js, created without callback
+     * @returns {Promise<any>} the formatted result of the command
+     */
+    execute(command) {
+        const query = this.isQuery(command);
+        if (query && !command.raw) {
+            // the same query is pending, so wait for its answer.
+            // Raw commands are answered unformatted and the class (%1 or %2) may change the answer, so both must match
+            const header = command.getHeader(this.class);
+            const pending = this.cmdQueue.find(
+                item =>
+                    item.promise &&
+                    !item.raw &&
+                    this.isQuery(item) &&
+                    item.toString() === command.toString() &&
+                    item.getHeader(this.class) === header,
+            );
+            if (pending) {
+                this.log.silly(`PJLink ${this.host} query ${command.toString()} already queued`);
+                return pending.promise;
+            }
+        }
+        command.promise = new Promise((resolve, reject) => {
+            command.cb = (err, ...values) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                if (command.args && command.args[0] === '?' && !command.raw) {
+                    this.updateStatus(command.cmd, values[0]);
+                }
+                resolve(values[0]);
+            };
+            if (query) {
+                this.cmdQueue.push(command);
+            } else {
+                // set commands are sent before the queued queries, but after the commands already sent
+                let index = this.cmdQueue.findIndex((item, i) => i >= this.cmdInFlight && this.isQuery(item));
+                if (index < 0) {
+                    index = this.cmdQueue.length;
+                }
+                this.cmdQueue.splice(index, 0, command);
+            }
+            this.emit('queueLength', this.cmdQueue.length);
+            this.processQueue();
+        });
+        return command.promise;
+    }
+
+    /**
+     * @param {object} command a command object from lib/command.js
+     * @returns {boolean} true if the command is a query (argument starts with '?')
+     */
+    isQuery(command) {
+        return Array.isArray(command.args) && String(command.args[0]).startsWith('?');
+    }
+
+    /**
+     * @param {number} state one of pjlink.POWER
+     * @returns {Promise<void>}
+     */
+    setPowerState(state) {
+        return this.execute(new pjcommand.PowerCommand(state));
+    }
+
+    /** @returns {Promise<void>} */
+    powerOn() {
+        return this.setPowerState(pjcommand.POWER.ON);
+    }
+
+    /** @returns {Promise<void>} */
+    powerOff() {
+        return this.setPowerState(pjcommand.POWER.OFF);
+    }
+
+    /** @returns {Promise<number>} one of pjlink.POWER */
+    getPowerState() {
+        return this.execute(new pjcommand.PowerCommand());
+    }
+
+    /**
+     * @param {any} args the input as code (e.g. '31'), number, object or source and channel
+     * @returns {Promise<void>}
+     */
+    setInput(...args) {
+        return this.execute(new pjcommand.InputCommand(...args));
+    }
+
+    /** @returns {Promise<object>} the current input (source, channel, code, name) */
+    getInput() {
+        return this.execute(new pjcommand.InputCommand());
+    }
+
+    /**
+     * @param {any} val the extended mute status (e.g. 31), object or boolean for video and audio
+     * @returns {Promise<void>}
+     */
+    setMute(val) {
+        return this.execute(new pjcommand.MuteCommand(val));
+    }
+
+    /** @returns {Promise<object>} the mute status (audio, video, status) */
+    getMute() {
+        return this.execute(new pjcommand.MuteCommand());
+    }
+
+    /** @returns {Promise<object|null>} the error status per category or null if no error */
+    getErrors() {
+        return this.execute(new pjcommand.ErrorsCommand());
+    }
+
+    /** @returns {Promise<Array<object>>} hours and state of all lamps */
+    getLamps() {
+        return this.execute(new pjcommand.LampCommand());
+    }
+
+    /** @returns {Promise<Array<object>>} all available inputs */
+    getInputs() {
+        return this.execute(new pjcommand.InputsCommand());
+    }
+
+    /** @returns {Promise<string>} the projector name */
+    getName() {
+        return this.execute(new pjcommand.NameCommand());
+    }
+
+    /** @returns {Promise<string>} the manufacturer name */
+    getManufacturer() {
+        return this.execute(new pjcommand.ManufacturerCommand());
+    }
+
+    /** @returns {Promise<string>} the product name */
+    getModel() {
+        return this.execute(new pjcommand.ModelCommand());
+    }
+
+    /** @returns {Promise<string>} other information */
+    getInfo() {
+        return this.execute(new pjcommand.InfoCommand());
+    }
+
+    /** @returns {Promise<string>} the supported class */
+    getClass() {
+        return this.execute(new pjcommand.ClassCommand());
+    }
+
+    /** @returns {Promise<string>} the serial number (class 2) */
+    getSerialNumber() {
+        return this.execute(new pjcommand.SerialNumberCommand());
+    }
+
+    /** @returns {Promise<string>} the software version (class 2) */
+    getSoftwareVersion() {
+        return this.execute(new pjcommand.SoftwareVersionCommand());
+    }
+
+    /**
+     * @param {string} input the input code, e.g. '31'
+     * @returns {Promise<string>} the name of the input (class 2)
+     */
+    getInputName(input) {
+        return this.execute(new pjcommand.InputNameCommand(input));
+    }
+
+    /** @returns {Promise<object>} the resolution of the input signal (class 2) */
+    getInputResolution() {
+        return this.execute(new pjcommand.InputResolutionCommand());
+    }
+
+    /** @returns {Promise<object>} the recommended resolution (class 2) */
+    getRecommendedResolution() {
+        return this.execute(new pjcommand.RecommendedResolutionCommand());
+    }
+
+    /** @returns {Promise<number>} the filter usage time in hours (class 2) */
+    getFilterUsageTime() {
+        return this.execute(new pjcommand.FilterCommand());
+    }
+
+    /** @returns {Promise<Array<string>>} the replacement lamp models (class 2) */
+    getLampReplacementModel() {
+        return this.execute(new pjcommand.LampModelCommand());
+    }
+
+    /** @returns {Promise<Array<string>>} the replacement filter models (class 2) */
+    getFilterReplacementModel() {
+        return this.execute(new pjcommand.FilterModelCommand());
+    }
+
+    /**
+     * @param {any} direction one of pjlink.VOLUME, 'up' or 'down'
+     * @returns {Promise<void>}
+     */
+    setSpeakerVolume(direction) {
+        if (pjcommand.volumeDirection(direction) === null) {
+            return Promise.reject(new Error(`Invalid volume direction '${direction}'`));
+        }
+        return this.execute(new pjcommand.SpeakerVolumeCommand(direction));
+    }
+
+    /**
+     * @param {any} direction one of pjlink.VOLUME, 'up' or 'down'
+     * @returns {Promise<void>}
+     */
+    setMicrophoneVolume(direction) {
+        if (pjcommand.volumeDirection(direction) === null) {
+            return Promise.reject(new Error(`Invalid volume direction '${direction}'`));
+        }
+        return this.execute(new pjcommand.MicrophoneVolumeCommand(direction));
+    }
+
+    /**
+     * @param {boolean} val true to freeze the picture
+     * @returns {Promise<void>}
+     */
+    setFreeze(val) {
+        return this.execute(new pjcommand.FreezeCommand(val));
+    }
+
+    /** @returns {Promise<boolean>} true if the picture is frozen (class 2) */
+    getFreeze() {
+        return this.execute(new pjcommand.FreezeCommand());
+    }
+
+    /**
+     * send any command, e.g. a vendor specific one or one not modelled by this library
+     *
+     * @param {string} cmd the 4 character command, e.g. 'POWR'
+     * @param {string} [args] the parameter, default '?'
+     * @param {number} [cls] the class of the command header, 1 or 2, default 1
+     * @returns {Promise<string>} the answer of the projector, e.g. '1' or 'OK'
+     */
+    sendRaw(cmd, args = '?', cls = 1) {
+        if (!/^[A-Za-z0-9]{4}$/.test(cmd) || (cls != 1 && cls != 2) || /[\r\n]/.test(args) || args.length > 128) {
+            return Promise.reject(new Error(`Invalid raw command '${cmd} ${args}' (class ${cls})`));
+        }
+        return this.execute(new pjcommand.RawCommand(cmd, args, cls));
+    }
+    /* #endregion */
+
     /**********************************************************************************************
      * Methods to handle errors and log the messages
      **********************************************************************************************/
@@ -73,9 +389,20 @@ module.exports = class pjlink {
     errorHandler(err, module = '') {
         this.log.error(`PJLink(module) error in method: [${module}] error: ${err.message}, stack: ${err.stack}`);
     }
+
+    /**
+     * emit an error, but only if someone listens. Otherwise the EventEmitter would throw
+     *
+     * @param {Error} err the error to emit
+     */
+    emitError(err) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', err);
+        }
+    }
     /* #endregion */
 
-     /**********************************************************************************************
+    /**********************************************************************************************
      * Methods for connection handling
      **********************************************************************************************/
     /* #region connection handling */
@@ -84,16 +411,11 @@ module.exports = class pjlink {
      */
     connect() {
         try {
-            this.cmdWaiting = true;
             this.connectionState = 'CONNECTING';
+            this.framer.reset();
+            this.digest = null;
             this.connection = net.connect({port: this.port, host: this.host}, this.onClientConnect.bind(this, this.host));
 
-            //callbacks
-            this.dataCB = this.onClientData.bind(this, this.host);
-            this.errorCB = this.onClientError.bind(this, this.host);
-            this.closeCB = this.onClientClose.bind(this, this.host);
-            this.timeoutCB = this.onClientTimeout.bind(this, this.host);
-
             this.connection.on('data', this.dataCB);
             this.connection.on('error', this.errorCB);
             this.connection.on('close', this.closeCB);
@@ -104,6 +426,180 @@ module.exports = class pjlink {
             this.errorHandler(err, 'connect');
         }
     }
+
+    /**
+     * remove all listeners and close the socket
+     */
+    resetConnection() {
+        const wasConnected = this.connection !== undefined;
+        if (this.connection) {
+            this.connection.removeListener('data', this.dataCB);
+            this.connection.removeListener('error', this.errorCB);
+            this.connection.removeListener('close', this.closeCB);
+            this.connection.removeListener('timeout', this.timeoutCB);
+            // avoid unhandled errors after the listeners have been removed
+            this.connection.on('error', () => {});
+            this.connection.destroy();
+        }
+        this.connection = undefined;
+        this.digest = null;
+        for (const command of this.cmdQueue.slice(0, this.cmdInFlight)) {
+            clearTimeout(command.timer);
+        }
+        this.cmdInFlight = 0;
+        clearTimeout(this.keepaliveTimer);
+        this.keepaliveTimer = undefined;
+        if (this.connectionState !== 'FAILED') {
+            this.connectionState = 'CLOSED';
+        }
+        if (wasConnected) {
+            this.emit('disconnected');
+        }
+    }
+
+    /**
+     * send the next command if possible, connect if necessary
+     */
+    processQueue() {
+        try {
+            if (this.cmdQueue.length <= this.cmdInFlight) {
+                return; // nothing left to send
+            }
+            if (!this.connection) {
+                this.connect();
+                return;
+            }
+            if (!['READY', 'AUTH1', 'AUTH2'].includes(this.connectionState)) {
+                return; // wait for the greeting of the projector
+            }
+
+            // until the digest has been accepted only one command is sent
+            const maxInFlight = this.connectionState === 'READY' ? this.pipeline : 1;
+            while (this.cmdInFlight < maxInFlight && this.cmdInFlight < this.cmdQueue.length) {
+                const command = this.cmdQueue[this.cmdInFlight];
+                let msg = command.getHeader(this.class) + command.toString();
+                if (this.digest) {
+                    msg = this.digest + msg;
+                    this.digest = null; //always reset after first send
+                }
+                this.cmdInFlight++;
+                command.sentAt = Date.now();
+                clearTimeout(command.timer);
+                command.timer = setTimeout(this.onCommandTimeout.bind(this, command), this.commandTimeout);
+                this.log.debug(`PJLink ${this.host} sending: ${command.getHeader(this.class)}${command.toString()}`);
+                this.connection.write(`${msg}\r`);
+            }
+        } catch (err) {
+            this.errorHandler(err, 'processQueue');
+        }
+    }
+
+    /**
+     * hand the response to the first command in the queue
+     *
+     * @param {object} response the response
+     */
+    handleResponse(response) {
+        const command = this.cmdQueue.shift();
+        if (this.cmdInFlight > 0) {
+            this.cmdInFlight--;
+        }
+        if (command) {
+            clearTimeout(command.timer);
+            this.emit('queueLength', this.cmdQueue.length);
+            if (command.sentAt) {
+                this.roundTripTime = Date.now() - command.sentAt;
+                this.emit('roundTrip', command.cmd, this.roundTripTime);
+            }
+            command.handleResponse(response);
+        }
+    }
+
+    /**
+     * reject all queued commands
+     *
+     * @param {Error} err the error to pass to all commands
+     */
+    rejectAll(err) {
+        const commands = this.cmdQueue;
+        this.cmdQueue = [];
+        this.cmdInFlight = 0;
+        this.emit('queueLength', 0);
+        for (const command of commands) {
+            clearTimeout(command.timer);
+            command.handleResponse(new pjresponse(null, err));
+        }
+    }
+
+    /**
+     * remember the result of a query and emit stateChanged if it differs from the last one
+     *
+     * @param {string} cmd the PJLink command
+     * @param {any} value the formatted result
+     */
+    updateStatus(cmd, value) {
+        const oldValue = this.status[cmd];
+        if (JSON.stringify(oldValue) !== JSON.stringify(value)) {
+            this.status[cmd] = value;
+            this.emit('stateChanged', cmd, value, oldValue);
+        }
+    }
+
+    /**
+     * called if the answer to a sent command did not arrive in time
+     *
+     * @param {object} command the command sent
+     */
+    onCommandTimeout(command) {
+        try {
+            const index = this.cmdQueue.indexOf(command);
+            if (index < 0 || index >= this.cmdInFlight) {
+                return; // answered or not sent at the moment
+            }
+            this.log.debug(`PJLink ${this.host} no answer to ${command.cmd} within ${this.commandTimeout} ms`);
+            this.cmdQueue.splice(index, 1);
+            // a late answer could not be assigned to the right command, so the remaining ones use a new connection
+            this.resetConnection();
+            this.emit('queueLength', this.cmdQueue.length);
+            command.handleResponse(new pjresponse(null, new Error('Response timeout')));
+            process.nextTick(this.processQueue.bind(this));
+        } catch (err) {
+            this.errorHandler(err, 'onCommandTimeout');
+        }
+    }
+
+    /**
+     * (re)start the keepalive timer of a persistent session. If nothing else is sent
+     * until it expires, a power query keeps the session open
+     */
+    restartKeepalive() {
+        clearTimeout(this.keepaliveTimer);
+        this.keepaliveTimer = undefined;
+        if (!this.persistent || !this.connected) {
+            return;
+        }
+        this.keepaliveTimer = setTimeout(() => {
+            this.keepaliveTimer = undefined;
+            if (this.cmdQueue.length === 0) {
+                this.log.debug(`PJLink ${this.host} sending keepalive`);
+                // errors are handled by the connection handling
+                this.getPowerState().catch(() => {});
+            }
+        }, this.keepalive);
+    }
+
+    /**
+     * calculate the digest for the PJLink authentication
+     *
+     * @param {string} rand the random number sent by the projector
+     * @param {string} method 'MD5' or 'SHA-256'
+     */
+    calcDigest(rand, method = 'MD5') {
+        this.digest = crypto
+            .createHash(method === 'SHA-256' ? 'sha256' : 'md5')
+            .update(rand + this.password)
+            .digest('hex');
+    }
     /* #endregion */
 
     /**********************************************************************************************
@@ -118,10 +614,9 @@ module.exports = class pjlink {
      */
     onClientConnect(ipAddress) {
         try {
-        	this.cmdWaiting = false;
             this.connectionState = 'CONNECTED';
             this.log.debug(`Projector: with ${ipAddress} connected`);
-            // now try to authenticate
+            // now wait for the greeting to authenticate
         } catch (err) {
             this.errorHandler(err, 'onClientConnect');
         }
@@ -129,13 +624,24 @@ module.exports = class pjlink {
 
     /**
      * is called when the client connection runs into a timeout on connection attempt
+     * or after the socket has been idle for the socket timeout
      *
      * @param {string} ipAddress the address for which the timeout occured
      */
     onClientTimeout(ipAddress) {
         try {
-            this.connectionState = 'FAILED';
-            this.log.debug(`Projector: with ${ipAddress} connection has timed out`);
+            if (this.connectionState === 'CONNECTING' || this.connectionState === 'CONNECTED') {
+                this.connectionState = 'FAILED';
+                this.log.debug(`Projector: with ${ipAddress} connection has timed out`);
+                this.rejectAll(new Error('Connection timeout'));
+            } else if (this.cmdWaiting) {
+                return; // the command timeout takes care of the missing answer
+            } else if (this.persistent && this.connected) {
+                return; // the session is kept open, the keepalive takes care of it
+            } else {
+                this.log.debug(`Projector: with ${ipAddress} connection idle, closing`);
+            }
+            this.resetConnection();
         } catch (err) {
             this.errorHandler(err, 'onClientTimeout');
         }
@@ -144,19 +650,20 @@ module.exports = class pjlink {
     /**
      * is called when specified client connection has an error
      *
-     * @param {string} ipAddress the address for which the error occured 
+     * @param {string} ipAddress the address for which the error occured
      * @param {Error} err the error occured
-     }
      */
     onClientError(ipAddress, err) {
         try {
-            this.log.info(`TCP Client: with ${ipAddress} has an error: ${err.toString()}`);
-            const device = this.devices.find(item => item.ipAddress === ipAddress);
-            device.connectionState = 'FAILED';
-            if (device.net) {
-                device.net.destroy();
+            this.log.debug(`TCP Client: with ${ipAddress} has an error: ${err.toString()}`);
+            this.connectionState = 'FAILED';
+            // the command in progress or the one which triggered the connection attempt fails
+            if (this.cmdQueue.length) {
+                this.handleResponse(new pjresponse(null, err.message));
             }
-            device.net = undefined;
+            this.emitError(err);
+            this.resetConnection();
+            process.nextTick(this.processQueue.bind(this));
         } catch (err) {
             this.errorHandler(err, 'onClientError');
         }
@@ -169,47 +676,122 @@ module.exports = class pjlink {
      */
     onClientClose(ipAddress) {
         try {
-            this.log.info(`TCP Client: to ${ipAddress} is closed`);
-            const device = this.devices.find(item => item.ipAddress === ipAddress);
-            device.connectionState = 'CLOSED';
-            if (device.net) {
-                device.net.destroy();
+            this.log.debug(`TCP Client: to ${ipAddress} is closed`);
+            if (this.cmdWaiting) {
+                if (this.persistent && !this.cmdQueue[0].retried) {
+                    // the session was closed by the projector, send the pending commands once more with a new session
+                    for (const command of this.cmdQueue.slice(0, this.cmdInFlight)) {
+                        command.retried = true;
+                    }
+                    this.log.debug(`TCP Client: to ${ipAddress} sending ${this.cmdInFlight} command(s) again`);
+                } else {
+                    this.handleResponse(new pjresponse(null, pjresponse.getError(pjresponse.ERRORS.ERRD)));
+                }
             }
-            device.net = undefined;
+            this.resetConnection();
+            // the remaining commands are sent with a new connection
+            process.nextTick(this.processQueue.bind(this));
         } catch (err) {
             this.errorHandler(err, 'onClientClose');
         }
     }
 
     /**
-     * called if client is ready to send new data
+     * called if client receives data
      *
-     * @param {string} ipAddress the address for which the connection continues
+     * @param {string} ipAddress the address for which the data was received
+     * @param {Buffer} data the data received
      */
-    onClientContinue(ipAddress) {
+    onClientData(ipAddress, data) {
         try {
-            this.log.debug(`TCP Client: to ${ipAddress} stream can continue`);
+            for (const telegram of this.framer.push(data)) {
+                this.onServerMessage(telegram, { address: ipAddress, proto: 'TCP' }); // pass the telegram to the message handler
+            }
         } catch (err) {
-            this.errorHandler(err, 'onClientContinue');
+            this.errorHandler(err, 'onClientData');
         }
     }
 
     /**
-     * called if client receives data
+     * called for every complete telegram of the projector
      *
-     * @param {string} ipAddress the address for which the data was received
-     * @param {Buffer} data the data received
+     * @param {string} telegram the telegram without the trailing CR
+     * @param {object} source info about the sender
      */
-    onClientData(ipAddress, data) {
+    onServerMessage(telegram, source) {
+        this.log.debug(`PJLink ${source.address} received: ${telegram}`);
+        let response;
         try {
-            this.onServerMessage(data, { address: ipAddress, proto: 'TCP' }); // pass the telegram to the message handler
+            response = pjresponse.parse(telegram);
         } catch (err) {
-            this.errorHandler(err, 'onClientData');
+            // not handed to the waiting command, it fails with the response timeout
+            this.log.warn(`PJLink ${source.address} ${err.message}: '${telegram}'`);
+            this.emitError(err);
+            return;
+        }
+
+        if (response.cmd === pjresponse.AUTH) {
+            if (response.isError()) {
+                if (this.connectionState === 'AUTH2' && !this.md5Fallback) {
+                    // the projector announced the new authentication but did not accept the SHA-256 digest
+                    this.log.info(`PJLink ${source.address} SHA-256 authentication not accepted, falling back to MD5`);
+                    this.md5Fallback = true;
+                    // the command stays in the queue and is sent again with a new connection
+                    this.resetConnection();
+                    process.nextTick(this.processQueue.bind(this));
+                    return;
+                }
+                // the digest was not accepted
+                this.log.warn(`PJLink ${source.address} authentication failed`);
+                this.connectionState = 'FAILED';
+                // try SHA-256 again with the next connection, e.g. after the password has been corrected
+                this.md5Fallback = false;
+                this.handleResponse(response);
+                this.emitError(response.getError());
+                this.resetConnection();
+                return;
+            }
+            if (response.ver == 1 || response.ver == 2) {
+                if (!this.password) {
+                    this.log.warn(`PJLink ${source.address} projector requires a password but none is set`);
+                }
+                const method = response.ver == 2 && !this.md5Fallback ? 'SHA-256' : 'MD5';
+                this.calcDigest(response.hasArgs() ? response.getArgs()[0] : '', method);
+                // connected when the projector has accepted the digest with the first answer
+                this.offeredAuthMethod = method;
+                this.connectionState = method === 'SHA-256' ? 'AUTH2' : 'AUTH1';
+            } else {
+                this.authMethod = 'none';
+                this.connectionState = 'READY';
+                this.emit('connected');
+            }
+        } else {
+            const command = this.cmdQueue[0];
+            if (!this.cmdWaiting || !command || command.cmd !== response.cmd) {
+                // no answer to the command sent first, e.g. a late answer of a timed out command
+                this.log.warn(`PJLink ${source.address} unexpected answer ignored: '${telegram}'`);
+                this.emitError(new pjresponse.ParseError('Unexpected answer', telegram));
+                return;
+            }
+            // a valid answer after the authentication
+            if (this.connectionState === 'AUTH1' || this.connectionState === 'AUTH2') {
+                this.connectionState = 'READY';
+                this.authMethod = this.offeredAuthMethod;
+                this.emit('connected');
+            }
+            this.handleResponse(response);
+            this.restartKeepalive();
         }
+
+        //do the next one on next occasion
+        process.nextTick(this.processQueue.bind(this));
     }
     /* #endregion */
+};
 
-}
+module.exports.POWER = pjcommand.POWER;
+module.exports.INPUT = pjcommand.INPUT;
+module.exports.VOLUME = pjcommand.VOLUME;
 
 /**
  * Helper Class to write logging like the real adapter programming
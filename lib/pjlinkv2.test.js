@@ -0,0 +1,320 @@
+'use strict';
+
+/**
+ * Tests for the promise based PJLink client against the simulator
+ */
+
+const { expect } = require('chai');
+const pjlink = require('./pjlinkv2');
+const pjlinksim = require('./pjlinksim');
+const pjresponse = require('./response');
+
+const silent = { silly() {}, debug() {}, info() {}, warn() {}, error() {} };
+
+describe('pjlinkv2 => client', () => {
+    let sim;
+    let projector;
+
+    /**
+     * start a simulator and create a client for it
+     *
+     * @param {object} simOptions options for the simulator
+     * @param {object} options options for the client
+     */
+    async function setup(simOptions = {}, options = {}) {
+        sim = new pjlinksim(Object.assign({ port: 0 }, simOptions));
+        const port = await sim.start();
+        projector = new pjlink(Object.assign({ host: '127.0.0.1', port: port, timeout: 200, logger: silent }, options));
+    }
+
+    afterEach(async () => {
+        if (projector) {
+            projector.disconnect();
+            projector = undefined;
+        }
+        if (sim) {
+            await sim.stop();
+            sim = undefined;
+        }
+    });
+
+    describe('authentication', () => {
+        it('should connect without security', async () => {
+            await setup();
+            expect(await projector.getPowerState()).to.equal(pjlink.POWER.OFF);
+            expect(projector.authMethod).to.equal('none');
+        });
+
+        it('should authenticate with MD5 (PJLINK 1)', async () => {
+            await setup({ password: 'secret' }, { password: 'secret' });
+            expect(await projector.getPowerState()).to.equal(pjlink.POWER.OFF);
+            expect(projector.authMethod).to.equal('MD5');
+        });
+
+        it('should authenticate with SHA-256 (PJLINK 2)', async () => {
+            await setup({ password: 'secret', authVersion: 2, md5Fallback: false }, { password: 'secret' });
+            expect(await projector.getPowerState()).to.equal(pjlink.POWER.OFF);
+            expect(projector.authMethod).to.equal('SHA-256');
+        });
+
+        it('should fall back to MD5 if SHA-256 is not accepted', async () => {
+            await setup({ password: 'secret', authVersion: 2, sha256: false }, { password: 'secret' });
+            expect(await projector.getPowerState()).to.equal(pjlink.POWER.OFF);
+            expect(projector.authMethod).to.equal('MD5');
+            expect(sim.connections).to.equal(2);
+        });
+
+        it('should reject with a wrong password', async () => {
+            await setup({ password: 'secret' }, { password: 'wrong' });
+            await expect(projector.getPowerState()).to.be.rejectedWith('Authorization failed');
+        });
+
+        it('should report the connection only after the digest has been accepted', async () => {
+            await setup({ password: 'secret', authVersion: 2 }, { password: 'wrong' });
+            const connected = [];
+            projector.on('connected', () => connected.push(projector.authMethod));
+            projector.on('error', () => {});
+            await expect(projector.getPowerState()).to.be.rejectedWith('Authorization failed');
+            expect(connected).to.deep.equal([]);
+            expect(projector.authMethod).to.equal('');
+
+            // SHA-256 is tried again after the password has been corrected
+            projector.password = 'secret';
+            expect(await projector.getPowerState()).to.equal(pjlink.POWER.OFF);
+            expect(connected).to.deep.equal(['SHA-256']);
+        });
+
+        it('should reject the commands if the projector is not reachable', async () => {
+            await setup();
+            await sim.stop();
+            await expect(projector.getPowerState()).to.be.rejectedWith(/ECONNREFUSED/);
+        });
+    });
+
+    describe('commands', () => {
+        it('should switch the power through warming up and cooling down', async () => {
+            await setup({ warmupTime: 100, cooldownTime: 100 });
+            await projector.powerOn();
+            expect(await projector.getPowerState()).to.equal(pjlink.POWER.WARMING_UP);
+            await expect(projector.powerOff()).to.be.rejectedWith('Unavailable time');
+            await new Promise(resolve => setTimeout(resolve, 150));
+            expect(await projector.getPowerState()).to.equal(pjlink.POWER.ON);
+            await projector.powerOff();
+            expect(await projector.getPowerState()).to.equal(pjlink.POWER.COOLING_DOWN);
+        });
+
+        it('should set and get input and mute', async () => {
+            await setup({ state: { power: 1 } });
+            await projector.setInput('32');
+            expect((await projector.getInput()).code).to.equal('32');
+            await projector.setMute(21);
+            expect(await projector.getMute()).to.deep.equal({ audio: true, video: false, status: 21 });
+            await expect(projector.setInput('99')).to.be.rejectedWith('Out of parameter');
+        });
+
+        it('should set the volume and freeze of a class 2 projector', async () => {
+            await setup({ class: 2, state: { power: 1 } }, { class: 2 });
+            await projector.setSpeakerVolume('up');
+            await projector.setMicrophoneVolume(pjlink.VOLUME.DOWN);
+            await expect(projector.setSpeakerVolume('louder')).to.be.rejectedWith("Invalid volume direction 'louder'");
+            await projector.setFreeze(true);
+            expect(await projector.getFreeze()).to.be.true;
+            expect(sim.received).to.include.members(['%2SVOL 1', '%2MVOL 0', '%2FREZ 1']);
+        });
+
+        it('should get the lamps and errors', async () => {
+            await setup({ state: { power: 1, errors: '002000', lamps: [{ hours: 10 }, { hours: 20 }] } });
+            expect(await projector.getLamps()).to.deep.equal([
+                { hours: 10, on: true },
+                { hours: 20, on: true },
+            ]);
+            expect(await projector.getErrors()).to.include({ temperature: 'error', fan: false });
+        });
+
+        for (const [code, message] of [
+            ['ERR1', 'Undefined command'],
+            ['ERR2', 'Out of parameter'],
+            ['ERR3', 'Unavailable time'],
+            ['ERR4', 'Projector/Display failure'],
+        ]) {
+            it(`should reject with ${code}`, async () => {
+                await setup();
+                sim.injectError('POWR', code);
+                await expect(projector.getPowerState()).to.be.rejectedWith(message);
+                expect(await projector.getPowerState()).to.equal(pjlink.POWER.OFF);
+            });
+        }
+
+        it('should answer class 2 queries with a class 2 projector', async () => {
+            await setup({ class: 2, state: { power: 1 } }, { class: 2 });
+            expect(await projector.getClass()).to.equal('2');
+            expect(await projector.getSerialNumber()).to.equal('SIM0001');
+            expect(await projector.getInputName('31')).to.equal('HDMI 1');
+            expect(await projector.getInputResolution()).to.include({ horizontal: 1920, vertical: 1080 });
+            expect(await projector.getFilterUsageTime()).to.equal(321);
+        });
+
+        it('should reject class 2 queries with a class 1 projector', async () => {
+            await setup({ class: 1 }, { class: 2 });
+            await expect(projector.getSerialNumber()).to.be.rejectedWith('Undefined command');
+        });
+
+        it('should send raw commands', async () => {
+            await setup({ class: 2 }, { class: 1 });
+            expect(await projector.sendRaw('POWR', '1')).to.equal('OK');
+            expect(await projector.sendRaw('INNM', '?31', 2)).to.equal('HDMI 1');
+            expect(sim.received).to.include('%2INNM ?31');
+            try {
+                await projector.sendRaw('XYZW');
+                expect.fail('should reject');
+            } catch (err) {
+                expect(err.message).to.equal('Undefined command');
+            }
+            try {
+                await projector.sendRaw('POWR', '1\r%1POWR 0');
+                expect.fail('should reject');
+            } catch (err) {
+                expect(err.message).to.contain('Invalid raw command');
+            }
+        });
+
+        it('should emit stateChanged only on changes', async () => {
+            await setup({ state: { power: 1 } });
+            const changes = [];
+            projector.on('stateChanged', (cmd, value) => changes.push(`${cmd}=${value}`));
+            await projector.getPowerState();
+            await projector.getPowerState();
+            sim.state.power = 2;
+            await projector.getPowerState();
+            expect(changes).to.deep.equal(['POWR=1', 'POWR=2']);
+        });
+    });
+
+    describe('queue', () => {
+        it('should send set commands before queued queries', async () => {
+            await setup({ state: { power: 1 } });
+            await Promise.all([projector.getPowerState(), projector.getInput(), projector.setMute(31)]);
+            expect(sim.received).to.deep.equal(['%1AVMT 31', '%1POWR ?', '%1INPT ?']);
+        });
+
+        it('should not queue the same query twice', async () => {
+            await setup({ state: { power: 1 } });
+            const results = await Promise.all([projector.getPowerState(), projector.getPowerState()]);
+            expect(results).to.deep.equal([1, 1]);
+            expect(sim.received).to.deep.equal(['%1POWR ?']);
+        });
+
+        it('should not share the answer of a raw and a formatted query', async () => {
+            await setup({ state: { power: 1 } });
+            const [raw, input] = await Promise.all([projector.sendRaw('INPT', '?'), projector.getInput()]);
+            expect(raw).to.equal('31');
+            expect(input).to.include({ source: 3, channel: 1, code: '31' });
+            const [input2, raw2] = await Promise.all([projector.getInput(), projector.sendRaw('INPT', '?')]);
+            expect(input2).to.include({ code: '31' });
+            expect(raw2).to.equal('31');
+            expect(sim.received).to.deep.equal(['%1INPT ?', '%1INPT ?', '%1INPT ?', '%1INPT ?']);
+        });
+
+        it('should not share the answer of the same query with another class', async () => {
+            await setup({ class: 2, state: { power: 1, input: '3B' } }, { class: 2 });
+            const [raw, input] = await Promise.all([projector.sendRaw('INPT', '?', 1), projector.getInput()]);
+            expect(raw).to.equal('3B');
+            expect(input).to.include({ code: '3B' });
+            expect(sim.received).to.deep.equal(['%1INPT ?', '%2INPT ?']);
+        });
+
+        it('should time out unanswered commands and continue with the next', async () => {
+            await setup({ state: { power: 1 } }, { commandTimeout: 100 });
+            sim.dropAnswer('NAME');
+            const [name, power] = await Promise.allSettled([projector.getName(), projector.getPowerState()]);
+            expect(name.status).to.equal('rejected');
+            // @ts-expect-error reason exists on rejected results
+            expect(name.reason.message).to.equal('Response timeout');
+            // @ts-expect-error value exists on fulfilled results
+            expect(power.value).to.equal(1);
+        });
+
+        it('should not hand a malformed answer to the next command', async () => {
+            await setup({ state: { power: 1 } }, { commandTimeout: 100 });
+            const errors = [];
+            projector.on('error', err => errors.push(err));
+            sim.injectAnswer('POWR', '%1POWR');
+            const [power, input] = await Promise.allSettled([projector.getPowerState(), projector.getInput()]);
+            // @ts-expect-error reason exists on rejected results
+            expect(power.reason.message).to.equal('Response timeout');
+            // @ts-expect-error value exists on fulfilled results
+            expect(input.value.code).to.equal('31');
+            expect(errors[0]).to.be.an.instanceOf(pjresponse.ParseError);
+        });
+
+        it('should ignore an answer which does not match the command', async () => {
+            await setup({ state: { power: 1 } }, { commandTimeout: 100 });
+            const errors = [];
+            projector.on('error', err => errors.push(err));
+            sim.injectAnswer('POWR', '%1INPT=31');
+            await expect(projector.getPowerState()).to.be.rejectedWith('Response timeout');
+            expect(errors.map(err => err.message)).to.deep.equal(['Unexpected answer']);
+        });
+
+        it('should handle answers coalesced in one packet', async () => {
+            await setup({ state: { power: 1 } }, { persistent: true, pipeline: 2 });
+            await projector.getPowerState();
+            // the answer of AVMT is sent together with the answer of INPT
+            sim.injectAnswer('INPT', '%1INPT=31\r%1AVMT=30');
+            sim.dropAnswer('AVMT');
+            const [input, mute] = await Promise.all([projector.getInput(), projector.getMute()]);
+            expect(input.code).to.equal('31');
+            expect(mute.status).to.equal(30);
+        });
+
+        it('should report the queue length', async () => {
+            await setup();
+            const lengths = [];
+            projector.on('queueLength', length => lengths.push(length));
+            await Promise.all([projector.getPowerState(), projector.getName()]);
+            expect(lengths).to.deep.equal([1, 2, 1, 0]);
+        });
+    });
+
+    describe('persistent session', () => {
+        it('should use one session for all commands', async () => {
+            await setup({ state: { power: 1 } }, { persistent: true, timeout: 50 });
+            await projector.getPowerState();
+            await new Promise(resolve => setTimeout(resolve, 100));
+            await projector.getInput();
+            expect(sim.connections).to.equal(1);
+        });
+
+        it('should send the pending commands again if the session is closed', async () => {
+            await setup({ state: { power: 1 } }, { persistent: true });
+            await projector.getPowerState();
+            sim.dropAnswer('INPT');
+            const input = projector.getInput();
+            await new Promise(resolve => setTimeout(resolve, 50));
+            sim.dropConnections();
+            expect((await input).code).to.equal('31');
+            expect(sim.connections).to.equal(2);
+        });
+
+        it('should pipeline the commands', async () => {
+            await setup({ state: { power: 1 } }, { persistent: true, pipeline: 3 });
+            await projector.getPowerState();
+            // number of commands waiting for an answer when the simulator receives one
+            const inFlight = [];
+            sim.on('command', () => inFlight.push(projector.cmdInFlight));
+            const results = await Promise.all([projector.getInput(), projector.getMute(), projector.getErrors()]);
+            expect(results[0].code).to.equal('31');
+            expect(inFlight).to.have.length(3);
+            expect(Math.max(...inFlight)).to.equal(3);
+        });
+
+        it('should measure the round trip time', async () => {
+            await setup();
+            const trips = [];
+            projector.on('roundTrip', (cmd, ms) => trips.push(cmd));
+            await projector.getPowerState();
+            expect(trips).to.deep.equal(['POWR']);
+            expect(projector.roundTripTime).to.be.a('number');
+        });
+    });
+});
@@ -1,3 +1,5 @@
+var StringDecoder = require('string_decoder').StringDecoder;
+
 var Response = function(cmd, err, ver, args){
 	this.cmd = cmd;
 	this.err = err;
@@ -47,17 +49,83 @@ Response.prototype.getArgs = function(){
 	return this.args;
 }
 
+//longest valid frame: header, command, separator and 128 bytes of data
+Response.MAX_FRAME_LENGTH = 136;
+
+/************* PARSE ERROR ************/
+//thrown for frames which are no valid PJLink answers
+Response.ParseError = function(message, frame){
+	Error.call(this, message);
+	this.name = 'ParseError';
+	this.message = message;
+	this.frame = frame;
+	if(Error.captureStackTrace) Error.captureStackTrace(this, Response.ParseError);
+}
+Response.ParseError.prototype = Object.create(Error.prototype);
+Response.ParseError.prototype.constructor = Response.ParseError;
+
+/************* FRAMER ************/
+//collects the received data and splits it into CR terminated frames
+//handles answers split over several packets and several answers in one packet
+//the data is UTF-8 (class 2), a multibyte character may also be split over two packets
+Response.Framer = function(){
+	this.buffer = '';
+	this.decoder = new StringDecoder('utf8');
+}
+
+Response.Framer.prototype.push = function(data){
+	this.buffer += typeof data==='string' ? data : this.decoder.write(data);
+
+	var frames = this.buffer.split('\r');
+	this.buffer = frames.pop() || '';
+
+	//a rest without CR which is too long will never become a valid frame
+	if(this.buffer.length>Response.MAX_FRAME_LENGTH){
+		frames.push(this.buffer);
+		this.buffer = '';
+	}
+
+	return frames.map(function(frame){
+		return frame.replace(/^\n/, ''); //tolerate CR LF
+	}).filter(function(frame){
+		return frame.length>0;
+	});
+}
+
+Response.Framer.prototype.reset = function(){
+	this.buffer = '';
+	this.decoder = new StringDecoder('utf8');
+}
+
+/************* PARSE ************/
 Response.parse = function(data){
 	if(typeof data==='object' && data.toString) data = data.toString();
 
-	data = data.trim();//cut off trailing CR
-	console.log(`data: ${data}`); // #######################################################################
+	data = data.replace(/[\r\n]+$/, '');//cut off trailing CR
 
-	var cmd, ver, args, err;
+	if(data.length>Response.MAX_FRAME_LENGTH){
+		throw new Response.ParseError('Frame too long', data);
+	}
+
+	var match, response;
+
+	//authentication: PJLINK 0, PJLINK 1 <random>, PJLINK 2 <random> or PJLINK ERRA
+	match = /^PJLINK (ERRA|[0-9])(?: (\S+))?$/i.exec(data);
+	if(match){
+		if(match[1].toUpperCase()=='ERRA'){
+			return new Response(Response.AUTH, Response.ERRORS.ERRA);
+		}
+		return new Response(Response.AUTH, null, match[1], match[2]);
+	}
 
-	var cmd = data.substr(0,6).toUpperCase();//header + command;
-	ver = data.substring(7,8);	// Version for extended authentication process
-	data = data.substr(7);//skip to the data
+	//answer: %<class><command>=<data>
+	match = /^%([1-9])([A-Za-z0-9]{4})=(.*)$/.exec(data);
+	if(!match){
+		throw new Response.ParseError('Malformed frame', data);
+	}
+
+	var err, args;
+	data = match[3];
 
 	//the data should now contain an error if it is there
 	if(Response.ERRORS.hasOwnProperty(data)){
@@ -65,21 +133,14 @@ Response.parse = function(data){
 		data = null;
 	}
 
-	//handle authentication
-	if(cmd==Response.AUTH){
-		//more general error checking here
-		if(!err){
-			data = data.substr(2);//we read over the 0 or 1
-		}
-	}else{
-		cmd = cmd.substr(2);//read the space character
-	}
-
 	if(data && data.length){
 		args = data.split(' ');
 	}
 
-	return new Response(cmd,err,ver,args);
+	response = new Response(match[2].toUpperCase(), err, null, args);
+	response.cls = parseInt(match[1]);
+
+	return response;
 }
 
 Response.prototype.cmd = null;
@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * Tests for the parsing of the projector answers
+ */
+
+const { expect } = require('chai');
+const pjresponse = require('./response');
+
+describe('response => parse', () => {
+    it('should parse a class 1 answer with arguments', () => {
+        const response = pjresponse.parse('%1POWR=1\r');
+        expect(response.cmd).to.equal('POWR');
+        expect(response.cls).to.equal(1);
+        expect(response.isError()).to.be.false;
+        expect(response.getArgs()).to.deep.equal(['1']);
+    });
+
+    it('should parse a class 2 answer with several arguments', () => {
+        const response = pjresponse.parse('%2INST=11 31 3A');
+        expect(response.cmd).to.equal('INST');
+        expect(response.cls).to.equal(2);
+        expect(response.getArgs()).to.deep.equal(['11', '31', '3A']);
+    });
+
+    it('should parse an OK answer without error', () => {
+        const response = pjresponse.parse('%1AVMT=OK');
+        expect(response.cmd).to.equal('AVMT');
+        expect(response.isError()).to.be.false;
+        expect(response.hasArgs()).to.not.be.ok;
+    });
+
+    for (const code of ['ERR1', 'ERR2', 'ERR3', 'ERR4']) {
+        it(`should map ${code} to an error`, () => {
+            const response = pjresponse.parse(`%1POWR=${code}`);
+            expect(response.isError()).to.be.true;
+            expect(response.getError().message).to.equal(pjresponse.ERRORS[code]);
+        });
+    }
+
+    it('should parse the greeting without security', () => {
+        const response = pjresponse.parse('PJLINK 0');
+        expect(response.cmd).to.equal(pjresponse.AUTH);
+        expect(response.ver).to.equal('0');
+        expect(response.isError()).to.be.false;
+    });
+
+    it('should parse the greeting with the random number', () => {
+        for (const ver of ['1', '2']) {
+            const response = pjresponse.parse(`PJLINK ${ver} 498e4a67`);
+            expect(response.cmd).to.equal(pjresponse.AUTH);
+            expect(response.ver).to.equal(ver);
+            expect(response.getArgs()).to.deep.equal(['498e4a67']);
+        }
+    });
+
+    it('should parse the authentication error', () => {
+        const response = pjresponse.parse('PJLINK ERRA');
+        expect(response.cmd).to.equal(pjresponse.AUTH);
+        expect(response.getError().message).to.equal(pjresponse.ERRORS.ERRA);
+    });
+    it('should parse the class and command generically', () => {
+        const response = pjresponse.parse('%2snum=A 1');
+        expect(response.cls).to.equal(2);
+        expect(response.cmd).to.equal('SNUM');
+        expect(response.getArgs()).to.deep.equal(['A', '1']);
+    });
+
+    for (const frame of ['', 'POWR=1', '%1POWR 1', '%1PO=1', 'PJLINK X', `%1NAME=${'x'.repeat(200)}`]) {
+        it(`should throw a ParseError for '${frame.substring(0, 20)}'`, () => {
+            expect(() => pjresponse.parse(frame))
+                .to.throw(pjresponse.ParseError)
+                .with.property('frame');
+        });
+    }
+});
+
+describe('response => framer', () => {
+    it('should join an answer split over several packets', () => {
+        const framer = new pjresponse.Framer();
+        expect(framer.push('%1PO')).to.deep.equal([]);
+        expect(framer.push(Buffer.from('WR='))).to.deep.equal([]);
+        expect(framer.push('1\r')).to.deep.equal(['%1POWR=1']);
+    });
+
+    it('should decode UTF-8 characters split over two packets', () => {
+        const framer = new pjresponse.Framer();
+        const data = Buffer.from('%2NAME=Beamer Küche 会议室\r');
+        expect(framer.push(data.subarray(0, 16))).to.deep.equal([]);
+        expect(framer.push(data.subarray(16))).to.deep.equal(['%2NAME=Beamer Küche 会议室']);
+    });
+
+    it('should split several answers in one packet', () => {
+        const framer = new pjresponse.Framer();
+        expect(framer.push('%1POWR=1\r%1INPT=31\r%1AV')).to.deep.equal(['%1POWR=1', '%1INPT=31']);
+        expect(framer.push('MT=30\r')).to.deep.equal(['%1AVMT=30']);
+    });
+
+    it('should tolerate CR LF and skip empty frames', () => {
+        const framer = new pjresponse.Framer();
+        expect(framer.push('PJLINK 0\r\n\r%1POWR=0\r\n')).to.deep.equal(['PJLINK 0', '%1POWR=0']);
+    });
+
+    it('should not collect data without CR endlessly', () => {
+        const framer = new pjresponse.Framer();
+        const frames = framer.push('x'.repeat(200));
+        expect(frames).to.have.length(1);
+        expect(framer.push('%1POWR=0\r')).to.deep.equal(['%1POWR=0']);
+    });
+
+    it('should drop the rest after a reset', () => {
+        const framer = new pjresponse.Framer();
+        framer.push('%1POWR=');
+        framer.reset();
+        expect(framer.push('PJLINK 0\r')).to.deep.equal(['PJLINK 0']);
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ *
+ *      library for iobroker pjlink Adapter
+ *
+ *      Modul :     schedule
+ *      Version:    0.1
+ *      Stand:      19.10.2026
+ *
+ *      Copyright (c) 2025, Bannsaenger <bannsaenger@gmx.de>
+ *
+ *      MIT License
+ *
+ */
+'use strict';
+
+/**
+ * Weekly power schedule
+ *
+ * A rule is one row of the schedules table of the instance configuration:
+ * { enabled: true, device: '' (all projectors) or name, time: 'HH:MM', action: 'on' | 'off', mon: true, ..., sun: false }
+ * The times are local times.
+ */
+
+// the weekdays in the order of Date.getDay()
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * @param {string} [text] a time like '7:30' or '07:30'
+ * @returns {number | null} the minutes since midnight, null if it is no valid time
+ */
+function parseTime(text) {
+    const match = /^\s*([01]?\d|2[0-3]):([0-5]\d)\s*$/.exec(text || '');
+    return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+/**
+ * @param {any} rule the rule
+ * @returns {boolean} true if the rule has a valid time, action and at least one day
+ */
+function isValid(rule) {
+    return (
+        !!rule &&
+        parseTime(rule.time) !== null &&
+        (rule.action === 'on' || rule.action === 'off') &&
+        DAYS.some(day => rule[day])
+    );
+}
+
+/**
+ * find the enabled rules which are due after the time from up to and including the time to
+ *
+ * @param {Array<any>} rules the rules
+ * @param {number} from the time of the last check in ms
+ * @param {number} to the actual time in ms
+ * @returns {Array<{rule: any, time: number}>} the due rules with their time in ms, oldest first
+ */
+function due(rules, from, to) {
+    const result = [];
+    if (to <= from) {
+        return result;
+    }
+    const start = new Date(from);
+    // check every day from the day of the last check up to today
+    for (let day = new Date(start.getFullYear(), start.getMonth(), start.getDate()); day.getTime() <= to; ) {
+        for (const rule of rules) {
+            const minutes = parseTime(rule.time);
+            if (!rule.enabled || minutes === null || !isValid(rule) || !rule[DAYS[day.getDay()]]) {
+                continue;
+            }
+            // built from the date, a fixed offset to midnight is one hour wrong on the days of the DST change
+            const time = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes).getTime();
+            if (time > from && time <= to) {
+                result.push({ rule: rule, time: time });
+            }
+        }
+        day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+    }
+    return result.sort((a, b) => a.time - b.time);
+}
+
+module.exports = {
+    DAYS,
+    parseTime,
+    isValid,
+    due,
+};
@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+ * Tests for the weekly power schedule
+ */
+
+const { expect } = require('chai');
+const schedule = require('./schedule');
+
+const MINUTE = 60000;
+// monday, 7:00 local time
+const monday = new Date(2026, 9, 19, 7).getTime();
+const workdays = { mon: true, tue: true, wed: true, thu: true, fri: true };
+
+describe('schedule => rules', () => {
+    it('should parse the times', () => {
+        expect(schedule.parseTime('7:30')).to.equal(450);
+        expect(schedule.parseTime(' 23:59 ')).to.equal(1439);
+        expect(schedule.parseTime('24:00')).to.be.null;
+        expect(schedule.parseTime('7.30')).to.be.null;
+        expect(schedule.parseTime(undefined)).to.be.null;
+    });
+
+    it('should check the rules', () => {
+        expect(schedule.isValid(Object.assign({ time: '7:30', action: 'on' }, workdays))).to.be.true;
+        expect(schedule.isValid({ time: '7:30', action: 'on' })).to.be.false;
+        expect(schedule.isValid(Object.assign({ time: '7:30', action: 'toggle' }, workdays))).to.be.false;
+    });
+});
+
+describe('schedule => due', () => {
+    const rules = [
+        Object.assign({ enabled: true, time: '22:00', action: 'off' }, workdays),
+        Object.assign({ enabled: true, time: '07:30', action: 'on' }, workdays),
+        { enabled: true, time: '10:00', action: 'on', sat: true },
+        Object.assign({ enabled: false, time: '07:15', action: 'off' }, workdays),
+    ];
+
+    it('should find the rules due since the last check', () => {
+        expect(schedule.due(rules, monday, monday + 29 * MINUTE)).to.have.length(0);
+        const result = schedule.due(rules, monday + 29 * MINUTE, monday + 30 * MINUTE);
+        expect(result).to.have.length(1);
+        expect(result[0]).to.include({ rule: rules[1], time: monday + 30 * MINUTE });
+        // the time of the last check is already done
+        expect(schedule.due(rules, monday + 30 * MINUTE, monday + 31 * MINUTE)).to.have.length(0);
+    });
+
+    it('should find the rules of several days in order', () => {
+        const result = schedule.due(rules, monday, monday + 6 * 24 * 60 * MINUTE);
+        expect(result.map(item => new Date(item.time).getDay() + ' ' + item.rule.action)).to.deep.equal([
+            '1 on',
+            '1 off',
+            '2 on',
+            '2 off',
+            '3 on',
+            '3 off',
+            '4 on',
+            '4 off',
+            '5 on',
+            '5 off',
+            '6 on',
+        ]);
+    });
+
+    it('should keep the local time on the days of the DST change', () => {
+        const timezone = process.env.TZ;
+        process.env.TZ = 'Europe/Berlin';
+        try {
+            const everyday = { enabled: true, time: '07:00', action: 'on', sun: true };
+            for (const day of [29, 25]) {
+                // sunday, 2026-03-29 (CET to CEST) and 2026-10-25 (CEST to CET)
+                const month = day === 29 ? 2 : 9;
+                const midnight = new Date(2026, month, day).getTime();
+                const result = schedule.due([everyday], midnight, midnight + 12 * 60 * MINUTE);
+                expect(result).to.have.length(1);
+                expect(new Date(result[0].time).getHours()).to.equal(7);
+                expect(result[0].time).to.equal(new Date(2026, month, day, 7).getTime());
+            }
+        } finally {
+            if (timezone === undefined) {
+                delete process.env.TZ;
+            } else {
+                process.env.TZ = timezone;
+            }
+        }
+    });
+});
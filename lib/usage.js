@@ -0,0 +1,159 @@
+/**
+ *
+ *      library for iobroker pjlink Adapter
+ *
+ *      Modul :     usage
+ *      Version:    0.1
+ *      Stand:      19.10.2026
+ *
+ *      Copyright (c) 2025, Bannsaenger <bannsaenger@gmx.de>
+ *
+ *      MIT License
+ *
+ */
+'use strict';
+
+/**
+ * Usage statistics of one projector
+ *
+ * The time between two updates is added to the counters of the status before the update.
+ * Times are counted only while the projector is on (power status 1).
+ *
+ * counters (ids of the states below statistics.):
+ * onTimeTotal, onTimeToday, onTimeWeek, onTimeMonth:   on time in hours
+ * mutedTime:       time with audio and/or video mute in hours
+ * powerCycles:     number of times the projector has been switched on
+ * inputTime.<code>:    on time per input in hours
+ */
+
+const HOUR = 3600000;
+
+// counters which are reset at the start of the period
+const PERIODS = {
+    onTimeToday: 'day',
+    onTimeWeek: 'week',
+    onTimeMonth: 'month',
+};
+
+class usage {
+    constructor() {
+        this.counters = {
+            onTimeTotal: 0,
+            onTimeToday: 0,
+            onTimeWeek: 0,
+            onTimeMonth: 0,
+            mutedTime: 0,
+            powerCycles: 0,
+        }; // times in ms
+        this.power = -1; // last power status, -1 if unknown
+        this.input = ''; // code of the last input
+        this.muted = false; // true if audio and/or video is muted
+        this.lastUpdate = null; // time of the last update in ms, null if stopped
+        this.periods = usage.periodKeys(Date.now());
+    }
+
+    /**
+     * keys of the day, week (starting on monday) and month of a time in local time
+     *
+     * @param {number} time the time in ms
+     * @returns {{day: string, week: string, month: string}} the keys
+     */
+    static periodKeys(time) {
+        const date = new Date(time);
+        const key = day => `${day.getFullYear()}-${day.getMonth() + 1}-${day.getDate()}`;
+        const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+        return {
+            day: key(date),
+            week: key(monday),
+            month: `${date.getFullYear()}-${date.getMonth() + 1}`,
+        };
+    }
+
+    /**
+     * restore the counters from the states
+     *
+     * @param {Record<string, {val: any, ts: number}>} states the states by counter id, e.g. { onTimeTotal: state }
+     * @param {number} [now] the actual time in ms
+     */
+    restore(states, now = Date.now()) {
+        const periods = usage.periodKeys(now);
+        this.periods = periods;
+        for (const [id, state] of Object.entries(states)) {
+            if (!state || typeof state.val !== 'number') {
+                continue;
+            }
+            // a counter of a past day, week or month starts again
+            if (PERIODS[id] && usage.periodKeys(state.ts)[PERIODS[id]] !== periods[PERIODS[id]]) {
+                continue;
+            }
+            this.counters[id] = id === 'powerCycles' ? state.val : state.val * HOUR;
+        }
+    }
+
+    /**
+     * add the time since the last update and take over the new status
+     *
+     * @param {{power?: number, input?: string, muted?: boolean}} status the changed parts of the status
+     * @param {number} [now] the actual time in ms
+     */
+    update(status, now = Date.now()) {
+        const periods = usage.periodKeys(now);
+        for (const [id, period] of Object.entries(PERIODS)) {
+            if (periods[period] !== this.periods[period]) {
+                this.counters[id] = 0;
+            }
+        }
+        this.periods = periods;
+
+        if (this.lastUpdate !== null && this.power === 1) {
+            const elapsed = Math.max(now - this.lastUpdate, 0);
+            this.counters.onTimeTotal += elapsed;
+            this.counters.onTimeToday += elapsed;
+            this.counters.onTimeWeek += elapsed;
+            this.counters.onTimeMonth += elapsed;
+            if (this.muted) {
+                this.counters.mutedTime += elapsed;
+            }
+            if (this.input) {
+                const id = `inputTime.${this.input}`;
+                this.counters[id] = (this.counters[id] || 0) + elapsed;
+            }
+        }
+        this.lastUpdate = now;
+
+        if (status.power !== undefined) {
+            if (status.power === 1 && this.power !== 1 && this.power !== -1) {
+                this.counters.powerCycles++;
+            }
+            this.power = status.power;
+        }
+        if (status.input !== undefined) {
+            this.input = status.input;
+        }
+        if (status.muted !== undefined) {
+            this.muted = status.muted;
+        }
+    }
+
+    /**
+     * stop counting, e.g. if the connection is lost. The next update starts again
+     */
+    stop() {
+        this.lastUpdate = null;
+        this.power = -1;
+    }
+
+    /**
+     * @returns {Record<string, number>} the values of the counters for the states (hours with 2 decimals)
+     */
+    values() {
+        /** @type {Record<string, number>} */
+        const values = {};
+        for (const [id, value] of Object.entries(this.counters)) {
+            values[id] = id === 'powerCycles' ? value : Math.round((value / HOUR) * 100) / 100;
+        }
+        return values;
+    }
+}
+
+module.exports = usage;
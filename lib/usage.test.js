@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+ * Tests for the usage statistics
+ */
+
+const { expect } = require('chai');
+const usage = require('./usage');
+
+const HOUR = 3600000;
+// wednesday, 10:00 local time
+const now = new Date(2026, 9, 21, 10).getTime();
+
+describe('usage => counters', () => {
+    it('should count the on time, the input and the mute time', () => {
+        const stats = new usage();
+        stats.update({ power: 1, input: '31', muted: false }, now);
+        stats.update({ input: '32' }, now + 2 * HOUR);
+        stats.update({ muted: true }, now + 3 * HOUR);
+        stats.update({ power: 0 }, now + 3.5 * HOUR);
+        stats.update({}, now + 5 * HOUR);
+        expect(stats.values()).to.deep.equal({
+            onTimeTotal: 3.5,
+            onTimeToday: 3.5,
+            onTimeWeek: 3.5,
+            onTimeMonth: 3.5,
+            mutedTime: 0.5,
+            powerCycles: 0,
+            'inputTime.31': 2,
+            'inputTime.32': 1.5,
+        });
+    });
+
+    it('should count the power cycles but not the first status', () => {
+        const stats = new usage();
+        stats.update({ power: 1 }, now);
+        stats.update({ power: 2 }, now + HOUR);
+        stats.update({ power: 0 }, now + 2 * HOUR);
+        stats.update({ power: 3 }, now + 3 * HOUR);
+        stats.update({ power: 1 }, now + 4 * HOUR);
+        expect(stats.values()).to.include({ powerCycles: 1, onTimeTotal: 1 });
+    });
+
+    it('should not count while stopped', () => {
+        const stats = new usage();
+        stats.update({ power: 1 }, now);
+        stats.stop();
+        stats.update({ power: 1 }, now + HOUR);
+        stats.update({}, now + 2 * HOUR);
+        expect(stats.values()).to.include({ onTimeTotal: 1, powerCycles: 0 });
+    });
+
+    it('should start the counters of a new day, week and month again', () => {
+        const stats = new usage();
+        const sunday = new Date(2026, 4, 31, 23).getTime();
+        stats.update({ power: 1 }, sunday - HOUR);
+        stats.update({}, sunday);
+        stats.update({}, sunday + 2 * HOUR); // monday 1:00, new day, week and month
+        expect(stats.values()).to.include({ onTimeTotal: 3, onTimeToday: 2, onTimeWeek: 2, onTimeMonth: 2 });
+    });
+});
+
+describe('usage => restore', () => {
+    it('should restore the counters of the actual periods only', () => {
+        const stats = new usage();
+        stats.restore(
+            {
+                onTimeTotal: { val: 100, ts: now - 10 * 24 * HOUR },
+                onTimeToday: { val: 2, ts: now - 24 * HOUR },
+                onTimeWeek: { val: 5, ts: now - 24 * HOUR },
+                onTimeMonth: { val: 20, ts: now - 24 * HOUR },
+                powerCycles: { val: 42, ts: now },
+                'inputTime.31': { val: 50, ts: now },
+            },
+            now,
+        );
+        stats.update({}, now);
+        expect(stats.values()).to.include({
+            onTimeTotal: 100,
+            onTimeToday: 0,
+            onTimeWeek: 5,
+            onTimeMonth: 20,
+            powerCycles: 42,
+            'inputTime.31': 50,
+        });
+    });
+});
@@ -9,15 +9,297 @@
  */
 
 const utils = require('@iobroker/adapter-core');
-const pjlink = require('./lib/pjlink.js');
-// const pjlink2 = require('./lib/pjlinkv2.js');
+const dns = require('dns');
+const net = require('net');
+const pjlink = require('./lib/pjlinkv2.js');
+const pjcommand = require('./lib/command.js');
+const pjresponse = require('./lib/response.js');
+const pjlinkudp = require('./lib/pjlinkudp.js');
+const lifetime = require('./lib/lifetime.js');
+const errorlog = require('./lib/errorlog.js');
+const usage = require('./lib/usage.js');
+const schedule = require('./lib/schedule.js');
+const ioPackage = require('./io-package.json');
 
 // possible query types
-const queries = ['POWR', 'INPT', 'CLSS', 'AVMT', 'ERST', 'LAMP', 'INST', 'NAME', 'INF1', 'INF2', 'INFO'];
+const queries = [
+    'POWR',
+    'INPT',
+    'CLSS',
+    'AVMT',
+    'ERST',
+    'LAMP',
+    'FILT',
+    'INST',
+    'NAME',
+    'INF1',
+    'INF2',
+    'INFO',
+    'FREZ',
+    'IRES',
+    'RRES',
+];
+
+// class 2 status notifications and the answer handler command they are mapped to
+const notifications = {
+    POWR: { command: 'GETPOWERSTATE', formatter: pjcommand.PowerCommand },
+    INPT: { command: 'GETINPUT', formatter: pjcommand.InputCommand },
+    AVMT: { command: 'GETMUTE', formatter: pjcommand.MuteCommand },
+    ERST: { command: 'GETERRORS', formatter: pjcommand.ErrorsCommand },
+};
+
+// writable states of each projector
+const controlStates = [
+    'power',
+    'powerOn',
+    'powerOff',
+    'powerTarget',
+    'input',
+    'inputName',
+    'inputs.*',
+    'setMute',
+    'acknowledge',
+    'sleepTimer',
+    'rawCommand',
+    'volume.*',
+    'freeze',
+];
+
+// states of each projector which are created when the projector reports class 2 (CLSS)
+// the states are boolean and writable if not given otherwise
+const class2Objects = {
+    volume: {
+        type: 'channel',
+        common: {
+            name: {
+                en: 'Audio volume',
+                de: 'Lautstärke',
+                ru: 'Громкость',
+                pt: 'Volume de áudio',
+                nl: 'Geluidsvolume',
+                fr: 'Volume audio',
+                it: 'Volume audio',
+                es: 'Volumen de audio',
+                pl: 'Głośność',
+                uk: 'Гучність',
+                'zh-cn': '音量',
+            },
+        },
+    },
+    'volume.speakerUp': {
+        type: 'state',
+        common: {
+            role: 'button',
+            name: {
+                en: 'Speaker volume up',
+                de: 'Lautsprecher lauter',
+                ru: 'Громкость динамика выше',
+                pt: 'Aumentar volume do altifalante',
+                nl: 'Luidspreker harder',
+                fr: 'Augmenter le volume du haut-parleur',
+                it: "Alza il volume dell'altoparlante",
+                es: 'Subir volumen del altavoz',
+                pl: 'Głośnik głośniej',
+                uk: 'Гучність динаміка вище',
+                'zh-cn': '扬声器音量加',
+            },
+        },
+    },
+    'volume.speakerDown': {
+        type: 'state',
+        common: {
+            role: 'button',
+            name: {
+                en: 'Speaker volume down',
+                de: 'Lautsprecher leiser',
+                ru: 'Громкость динамика ниже',
+                pt: 'Diminuir volume do altifalante',
+                nl: 'Luidspreker zachter',
+                fr: 'Baisser le volume du haut-parleur',
+                it: "Abbassa il volume dell'altoparlante",
+                es: 'Bajar volumen del altavoz',
+                pl: 'Głośnik ciszej',
+                uk: 'Гучність динаміка нижче',
+                'zh-cn': '扬声器音量减',
+            },
+        },
+    },
+    'volume.micUp': {
+        type: 'state',
+        common: {
+            role: 'button',
+            name: {
+                en: 'Microphone volume up',
+                de: 'Mikrofon lauter',
+                ru: 'Громкость микрофона выше',
+                pt: 'Aumentar volume do microfone',
+                nl: 'Microfoon harder',
+                fr: 'Augmenter le volume du microphone',
+                it: 'Alza il volume del microfono',
+                es: 'Subir volumen del micrófono',
+                pl: 'Mikrofon głośniej',
+                uk: 'Гучність мікрофона вище',
+                'zh-cn': '麦克风音量加',
+            },
+        },
+    },
+    'volume.micDown': {
+        type: 'state',
+        common: {
+            role: 'button',
+            name: {
+                en: 'Microphone volume down',
+                de: 'Mikrofon leiser',
+                ru: 'Громкость микрофона ниже',
+                pt: 'Diminuir volume do microfone',
+                nl: 'Microfoon zachter',
+                fr: 'Baisser le volume du microphone',
+                it: 'Abbassa il volume del microfono',
+                es: 'Bajar volumen del micrófono',
+                pl: 'Mikrofon ciszej',
+                uk: 'Гучність мікрофона нижче',
+                'zh-cn': '麦克风音量减',
+            },
+        },
+    },
+    freeze: {
+        type: 'state',
+        common: {
+            role: 'switch',
+            name: {
+                en: 'Freeze the picture',
+                de: 'Bild einfrieren',
+                ru: 'Стоп-кадр',
+                pt: 'Congelar a imagem',
+                nl: 'Beeld bevriezen',
+                fr: "Figer l'image",
+                it: "Blocca l'immagine",
+                es: 'Congelar la imagen',
+                pl: 'Zamrożenie obrazu',
+                uk: 'Стоп-кадр',
+                'zh-cn': '冻结画面',
+            },
+        },
+    },
+    signal: {
+        type: 'channel',
+        common: {
+            name: {
+                en: 'Input signal',
+                de: 'Eingangssignal',
+                ru: 'Входной сигнал',
+                pt: 'Sinal de entrada',
+                nl: 'Ingangssignaal',
+                fr: "Signal d'entrée",
+                it: 'Segnale di ingresso',
+                es: 'Señal de entrada',
+                pl: 'Sygnał wejściowy',
+                uk: 'Вхідний сигнал',
+                'zh-cn': '输入信号',
+            },
+        },
+    },
+    'signal.inputResolution': {
+        type: 'state',
+        common: {
+            role: 'text',
+            type: 'string',
+            write: false,
+            def: '',
+            name: {
+                en: 'Resolution of the input signal',
+                de: 'Auflösung des Eingangssignals',
+                ru: 'Разрешение входного сигнала',
+                pt: 'Resolução do sinal de entrada',
+                nl: 'Resolutie van het ingangssignaal',
+                fr: "Résolution du signal d'entrée",
+                it: 'Risoluzione del segnale di ingresso',
+                es: 'Resolución de la señal de entrada',
+                pl: 'Rozdzielczość sygnału wejściowego',
+                uk: 'Роздільна здатність вхідного сигналу',
+                'zh-cn': '输入信号分辨率',
+            },
+        },
+    },
+    'signal.recommendedResolution': {
+        type: 'state',
+        common: {
+            role: 'text',
+            type: 'string',
+            write: false,
+            def: '',
+            name: {
+                en: 'Recommended resolution',
+                de: 'Empfohlene Auflösung',
+                ru: 'Рекомендуемое разрешение',
+                pt: 'Resolução recomendada',
+                nl: 'Aanbevolen resolutie',
+                fr: 'Résolution recommandée',
+                it: 'Risoluzione consigliata',
+                es: 'Resolución recomendada',
+                pl: 'Zalecana rozdzielczość',
+                uk: 'Рекомендована роздільна здатність',
+                'zh-cn': '推荐分辨率',
+            },
+        },
+    },
+    'signal.present': {
+        type: 'state',
+        common: {
+            role: 'indicator',
+            write: false,
+            name: {
+                en: 'Input signal present',
+                de: 'Eingangssignal vorhanden',
+                ru: 'Входной сигнал есть',
+                pt: 'Sinal de entrada presente',
+                nl: 'Ingangssignaal aanwezig',
+                fr: "Signal d'entrée présent",
+                it: 'Segnale di ingresso presente',
+                es: 'Señal de entrada presente',
+                pl: 'Sygnał wejściowy obecny',
+                uk: 'Вхідний сигнал є',
+                'zh-cn': '有输入信号',
+            },
+        },
+    },
+    'signal.mismatch': {
+        type: 'state',
+        common: {
+            role: 'indicator',
+            write: false,
+            name: {
+                en: 'Input resolution differs from the recommended resolution',
+                de: 'Eingangsauflösung weicht von der empfohlenen Auflösung ab',
+                ru: 'Входное разрешение отличается от рекомендуемого',
+                pt: 'A resolução de entrada difere da recomendada',
+                nl: 'Ingangsresolutie wijkt af van de aanbevolen resolutie',
+                fr: "La résolution d'entrée diffère de la résolution recommandée",
+                it: 'La risoluzione di ingresso differisce da quella consigliata',
+                es: 'La resolución de entrada difiere de la recomendada',
+                pl: 'Rozdzielczość wejściowa różni się od zalecanej',
+                uk: 'Вхідна роздільна здатність відрізняється від рекомендованої',
+                'zh-cn': '输入分辨率与推荐分辨率不同',
+            },
+        },
+    },
+};
+
+// queries of class 2 commands, only sent when the projector has reported class 2
+const class2Queries = ['FREZ', 'IRES', 'RRES'];
+
+// commands of the sendTo API
+const apiCommands = ['getStatus', 'getDeviceInfo', 'powerOn', 'powerOff', 'setInput', 'setMute', 'refresh'];
+
+// interval of the check of the sleep timers, the weekly schedule and the auto off rule in ms
+const scheduleInterval = 10000;
+
+// prefix of a value encrypted with adapter.encrypt(), used for the passwords in the devices table
+const encryptedPrefix = '$/aes-192-cbc:';
 
 /**
  * Projector status constants
- * Four possible power states:
+ * Four possible power states and -1 while the projector is not connected:
  * 0 /	pjlink.POWER.OFF
  * 1 /	pjlink.POWER.ON
  * 2 /	pjlink.POWER.COOLING_DOWN
@@ -40,12 +322,13 @@ class Pjlink extends utils.Adapter {
         this.on('unload', this.onUnload.bind(this));
 
         // prepare global instance variables
-        this.projector = {};
-        this.connectedState = false; // true if connection to projector is established, will be reset on connection errors
-        this.poweredOn = false; // true if the power state is 1 (Power ON), used for status queries for which power must be ON
-        this.firstRunDone = false; // true if the first run (query status on adapter startup) is done
-        this.firstRunPowered = false; // true if the first run (query status on adapter startup with power = ON) is done
-        this.skippedShortCycles = -1; // number of skipped short cycles after power ON event. Will be set to the config value and decremented. -1 is expired
+        this.devices = []; // one entry per projector, see buildDevice
+        this.udp = undefined; // PJLink class 2 UDP listener for status notifications
+        this.discovery = undefined; // promise of the running projector discovery
+        this.discoveredProjectors = undefined; // result of the last projector discovery, offered in the host selection
+        this.scheduleTimer = undefined; // timer of checkSchedules
+        this.lastScheduleCheck = 0; // time of the last checkSchedules in ms
+        this.unloading = false; // true while the adapter stops, the rejected pending commands are not worth an error
         this.statusQueryInfo = {};
         this.statusQueryInfo.startupPowered = [];
         this.statusQueryInfo.startup = [];
@@ -53,12 +336,6 @@ class Pjlink extends utils.Adapter {
         this.statusQueryInfo.longPowered = [];
         this.statusQueryInfo.short = [];
         this.statusQueryInfo.shortPowered = [];
-        this.numStatusQryForInfo = 1; // after this number of status query a information query will be processed
-        this.actStatusQryForInfo = 0; // actual number of skipped status queries
-        this.unavailableTime = false; // true if the projector send the error "unavailable time" for the first time
-        this.timers = {}; // a place to store timers
-        this.timers.reconnectDelay = undefined;
-        this.timers.statusDelay = undefined;
     }
 
     /**
@@ -66,302 +343,1767 @@ class Pjlink extends utils.Adapter {
      */
     async onReady() {
         try {
-            //const self = this;
             // Reset the connection indicator during startup
             this.setState('info.connection', false, true);
 
-            this.numStatusQryForInfo = Math.floor(this.config.informationDelay / this.config.statusDelay);
-
             await this.buildStatusQueryInfo();
 
-            this.conOptions = {
-                host: this.config.host || '127.0.0.1',
-                port: this.config.port || 4352,
-                password: this.config.password || null,
+            // build the list of projectors. Without a device table the single projector config is used with flat states
+            const deviceConfigs = Array.isArray(this.config.devices) ? this.config.devices : [];
+            if (deviceConfigs.length) {
+                await this.encryptDevicePasswords(deviceConfigs);
+                for (const deviceConfig of deviceConfigs) {
+                    const name = (deviceConfig.name || deviceConfig.host || '')
+                        .replace(this.FORBIDDEN_CHARS, '_')
+                        .replace(/[\s.]/g, '_');
+                    if (!name || !deviceConfig.host) {
+                        this.log.error(`PJLink device without name or host in device table is ignored`);
+                        continue;
+                    }
+                    if (this.devices.find(item => item.name === name)) {
+                        this.log.error(
+                            `PJLink device name '${name}' is used more than once. Ignoring host: ${deviceConfig.host}`,
+                        );
+                        continue;
+                    }
+                    this.devices.push(this.buildDevice(name, `${name}.`, deviceConfig));
+                }
+            } else {
+                this.devices.push(this.buildDevice(this.config.host || '127.0.0.1', '', this.config));
+            }
+
+            await this.createDeviceObjects();
+
+            // the flat states of the instanceObjects also exist with the devices table, writes to them are only warned
+            if (this.devices.length && this.devices[0].prefix) {
+                for (const controlState of controlStates) {
+                    this.subscribeStates(controlState);
+                }
+            }
+
+            for (const device of this.devices) {
+                await this.migrateInputObject(device);
+                await this.restoreUsage(device);
+                // a sleep timer does not survive a restart
+                this.setState(`${device.prefix}sleepTimer`, 0, true);
+                this.setState(`${device.prefix}sleepTimerRemaining`, 0, true);
+
+                // In order to get state updates, you need to subscribe to them.
+                for (const controlState of controlStates) {
+                    this.subscribeStates(`${device.prefix}${controlState}`);
+                }
+
+                // show the authentication method negotiated with the projector greeting
+                device.projector.on('connected', () => {
+                    this.setStateChanged(`${device.prefix}info.authMethod`, device.projector.authMethod, true);
+                });
+                device.projector.on('roundTrip', (cmd, ms) => {
+                    this.setStateChanged(`${device.prefix}info.roundTripTime`, ms, true);
+                });
+                device.projector.on('queueLength', length => {
+                    this.setStateChanged(`${device.prefix}info.queueLength`, length, true);
+                });
+
+                this.log.info(
+                    `PJLink (${device.name}) connecting to host: ${device.conOptions.host}:${device.conOptions.port} (timeout: ${device.conOptions.timeout} ms), ${device.conOptions.password ? 'with password set' : 'with security disabled'}`,
+                );
+            }
+
+            // listen for class 2 status notifications
+            if (this.config.statusNotification && this.devices.find(item => item.conOptions.class > 1)) {
+                await this.startStatusNotification();
+            }
+
+            // sleep timers, weekly schedule and auto off
+            this.lastScheduleCheck = Date.now();
+            this.scheduleTimer = setInterval(() => this.checkSchedules(), scheduleInterval);
+
+            // try to communicate to the projectors
+            for (const device of this.devices) {
+                this.reconnectProjector(device);
+            }
+        } catch (err) {
+            this.errorHandler(err, 'onReady');
+        }
+    }
+
+    /**
+     * Called to create the runtime information of one projector
+     *
+     * @param {string} name name of the projector, used for the device object and in log messages
+     * @param {string} prefix prefix of all state ids of this projector ('' or '<name>.')
+     * @param {object} deviceConfig host, port, password, class and optional poll intervals of the projector
+     * @returns {object} the device
+     */
+    buildDevice(name, prefix, deviceConfig) {
+        const statusDelay = deviceConfig.statusDelay || this.config.statusDelay;
+        const informationDelay = deviceConfig.informationDelay || this.config.informationDelay;
+        const device = {
+            name: name,
+            prefix: prefix,
+            conOptions: {
+                host: deviceConfig.host || '127.0.0.1',
+                port: deviceConfig.port || 4352,
+                password: this.decryptPassword(deviceConfig.password) || null,
+                class: deviceConfig.class || 1,
                 timeout: this.config.socketTimeout || 800,
+                commandTimeout: this.config.commandTimeout || 2000,
+                persistent: this.config.persistentSession || false,
+                keepalive: this.config.keepaliveInterval || 20000,
+                pipeline: this.config.pipelineDepth || 1,
                 logger: this.log,
-            };
+            },
+            statusDelay: statusDelay,
+            informationDelay: informationDelay,
+            // status poll interval for each power status, 0 uses the statusDelay
+            pollDelays: {
+                0: this.config.statusDelayOff || 0,
+                1: this.config.statusDelayOn || 0,
+                2: this.config.statusDelayCooling || 0,
+                3: this.config.statusDelayWarmup || 0,
+            },
+            lampLife: deviceConfig.lampLife || this.config.lampRatedLife || 0, // rated life of the lamps in hours, 0 if unknown
+            filterLife: deviceConfig.filterLife || this.config.filterRatedLife || 0, // rated life of the filter in hours, 0 if unknown
+            maintenanceDue: {}, // maintenance state of each lamp and the filter, e.g. { lamp1: false, filter: true }
+            errorLog: null, // entries of deviceInfo.errorLog, loaded from the state with the first error status
+            sleepUntil: 0, // time in ms at which the sleep timer switches the projector off, 0 if not running
+            idleSince: 0, // time in ms since the picture is muted or the input has no signal, 0 if not. Used by the auto off rule
+            idle: { muted: false, noSignal: false }, // the reasons for idleSince
+            inputNames: {}, // the input names reported by the projector (INNM, class 2), e.g. { 32: 'HDMI 2' }
+            class2States: false, // true when the projector has reported class 2 and the volume and freeze states exist
+            resolution: { input: null, recommended: null }, // the last answers of IRES and RRES
+            usage: new usage(), // usage statistics, restored from the states on startup
+            usageInputs: new Set(), // inputs with an existing statistics.inputTime object
+            pingPort: deviceConfig.tcpPingPort || deviceConfig.port || 4352, // port for the TCP-Ping connection check, 0 uses the PJLink port
+            projectorAddress: '', // resolved ip address of the projector, used to filter the notifications
+            connectedState: false, // true if connection to projector is established, will be reset on connection errors
+            poweredOn: false, // true if the power state is 1 (Power ON), used for status queries for which power must be ON
+            powerStatus: -1, // last power status of the projector, -1 if unknown
+            pendingPower: null, // power target (true/false) requested while warming up or cooling down, null if none
+            firstRunDone: false, // true if the first run (query status on adapter startup) is done
+            firstRunPowered: false, // true if the first run (query status on adapter startup with power = ON) is done
+            skippedShortCycles: -1, // number of skipped short cycles after power ON event. Will be set to the config value and decremented. -1 is expired
+            lastInformationQuery: 0, // time of the last information query in ms
+            unavailableTime: false, // true if the projector send the error "unavailable time" for the first time
+            unavailableInCycle: false, // true if the projector answered "unavailable time" since the last status query
+            backoff: 0, // number of status query cycles in a row with "unavailable time", each doubles the poll interval
+            failedConnects: 0, // number of failed connection attempts in a row, switches to TCP-Ping if startPingAfterNumFailures is reached
+            successfulPings: 0, // number of successful TCP-Pings in a row
+            reconnectRunning: false, // true while a reconnect attempt (TCP-Ping and/or power query) is pending
+            connectionErrorLogged: false, // true if a connection error has been logged since the last connect
+            timers: {
+                reconnectDelay: undefined,
+                statusDelay: undefined,
+            },
+            projector: {},
+        };
+        // instantiate connection object for the projector
+        device.projector = new pjlink(device.conOptions);
+        return device;
+    }
+
+    /**
+     * Called to create the object tree of all projectors in the device table
+     * and to remove the objects of projectors which are no longer configured
+     */
+    async createDeviceObjects() {
+        try {
+            for (const device of this.devices) {
+                if (!device.prefix) {
+                    continue; // flat states are created by the instanceObjects
+                }
+                await this.setObjectNotExistsAsync(device.name, {
+                    type: 'device',
+                    common: {
+                        name: device.name,
+                    },
+                    native: {
+                        host: device.conOptions.host,
+                    },
+                });
+                for (const obj of ioPackage.instanceObjects) {
+                    await this.setObjectNotExistsAsync(`${device.prefix}${obj._id}`, {
+                        // @ts-expect-error the type is taken from the io-package and is valid
+                        type: obj.type,
+                        common: obj.common,
+                        native: obj.native || {},
+                    });
+                }
+            }
+            const existingDevices = await this.getDevicesAsync();
+            for (const existingDevice of existingDevices) {
+                const name = existingDevice._id.replace(`${this.namespace}.`, '');
+                if (!this.devices.find(item => item.name === name)) {
+                    this.log.info(`PJLink removing objects of projector '${name}' which is no longer configured`);
+                    await this.delObjectAsync(name, { recursive: true });
+                }
+            }
+        } catch (err) {
+            this.errorHandler(err, 'createDeviceObjects');
+        }
+    }
+
+    /**
+     * Called to encrypt the plain text passwords of the devices table in the instance configuration.
+     * encryptedNative only covers the top level password, so the passwords of the table are encrypted here
+     *
+     * @param {Array<any>} deviceConfigs the rows of the devices table
+     */
+    async encryptDevicePasswords(deviceConfigs) {
+        try {
+            if (!deviceConfigs.find(row => row.password && !String(row.password).startsWith(encryptedPrefix))) {
+                return;
+            }
+            const instanceObject = await this.getForeignObjectAsync(`system.adapter.${this.namespace}`);
+            if (!instanceObject || !Array.isArray(instanceObject.native.devices)) {
+                return;
+            }
+            for (const row of instanceObject.native.devices) {
+                if (row.password && !String(row.password).startsWith(encryptedPrefix)) {
+                    row.password = this.encrypt(String(row.password));
+                }
+            }
+            this.log.info('PJLink the passwords of the devices table are stored encrypted now');
+            // this restarts the instance with the encrypted passwords
+            await this.setForeignObjectAsync(`system.adapter.${this.namespace}`, instanceObject);
+        } catch (err) {
+            this.errorHandler(err, 'encryptDevicePasswords');
+        }
+    }
 
-            // In order to get state updates, you need to subscribe to them. The following line adds a subscription for our variable we have created above.
-            this.subscribeStates('power');
-            this.subscribeStates('input');
-            this.subscribeStates('setMute');
+    /**
+     * Called to decrypt a password of the devices table. Plain text passwords are returned unchanged
+     *
+     * @param {string} password the password from the configuration
+     * @returns {string} the plain text password
+     */
+    decryptPassword(password) {
+        if (password && String(password).startsWith(encryptedPrefix)) {
+            return this.decrypt(password);
+        }
+        return password;
+    }
 
+    /**
+     * Called to change the input state of older installations from a number 11-59
+     * to a mixed state, which also takes the alphanumeric class 2 codes like '3B'
+     *
+     * @param {object} device the projector
+     */
+    async migrateInputObject(device) {
+        try {
+            const inputObj = await this.getObjectAsync(`${device.prefix}input`);
+            if (!inputObj || inputObj.common.type === 'mixed') {
+                return;
+            }
+            inputObj.common.type = 'mixed';
+            delete inputObj.common.min;
+            delete inputObj.common.max;
             this.log.info(
-                `PJLink connecting to host: ${this.conOptions.host}:${this.conOptions.port} (timeout: ${this.conOptions.timeout} ms), ${this.conOptions.password ? 'with password set' : 'with security disabled'}`,
+                `PJLink (${device.name}) changing ${device.prefix}input to type mixed for class 2 input codes`,
+            );
+            await this.setObjectAsync(`${device.prefix}input`, inputObj);
+        } catch (err) {
+            this.errorHandler(err, 'migrateInputObject');
+        }
+    }
+
+    /**
+     * Called to find the projector to which a state id belongs
+     *
+     * @param {string} onlyId the state id without the namespace
+     * @returns {object | undefined} the device
+     */
+    findDeviceByStateId(onlyId) {
+        let found;
+        for (const device of this.devices) {
+            if (onlyId.startsWith(device.prefix) && (!found || device.prefix.length > found.prefix.length)) {
+                found = device;
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Called to find the projector by its name. Without a name the first projector is returned
+     *
+     * @param {string} [name] name of the projector
+     * @returns {object | undefined} the device
+     */
+    findDeviceByName(name) {
+        if (!name) {
+            return this.devices[0];
+        }
+        return this.devices.find(item => item.name === name);
+    }
+
+    /**
+     * Called to set the connection state of one projector and the aggregated connection state of the instance
+     *
+     * @param {object} device the projector
+     * @param {boolean} connected true if the projector is connected
+     */
+    setConnectionState(device, connected) {
+        device.connectedState = connected;
+        if (device.prefix) {
+            this.setState(`${device.prefix}info.connection`, connected, true);
+        }
+        // the instance is connected if all projectors are connected
+        this.setState(
+            'info.connection',
+            this.devices.every(item => item.connectedState),
+            true,
+        );
+    }
+
+    /**
+     * Called to build the status query array
+     */
+    async buildStatusQueryInfo() {
+        try {
+            for (const query of queries) {
+                const queryType = `queryType${query}`;
+                const queryTypePwr = `queryOnlyPwr${query}`;
+                switch (this.config[queryType]) {
+                    case 1: // startup
+                        if (this.config[queryTypePwr]) {
+                            this.statusQueryInfo.startupPowered.push(query);
+                        } else {
+                            this.statusQueryInfo.startup.push(query);
+                        }
+                        break;
+
+                    case 2: // short
+                        if (this.config[queryTypePwr]) {
+                            this.statusQueryInfo.shortPowered.push(query);
+                        } else {
+                            this.statusQueryInfo.short.push(query);
+                        }
+                        break;
+
+                    case 3: // long
+                        if (this.config[queryTypePwr]) {
+                            this.statusQueryInfo.longPowered.push(query);
+                        } else {
+                            this.statusQueryInfo.long.push(query);
+                        }
+                        break;
+
+                    default: // never and other
+                        break;
+                }
+            }
+            this.log.debug(`Ready building statusQueryInfo: ${JSON.stringify(this.statusQueryInfo)}`);
+        } catch (err) {
+            this.errorHandler(err, 'buildStatusQueryInfo');
+        }
+    }
+
+    /**
+     * Called to open the UDP listener for class 2 status notifications
+     */
+    async startStatusNotification() {
+        try {
+            for (const device of this.devices) {
+                if (device.conOptions.class > 1) {
+                    // a host which can not be resolved gets no notifications, the other projectors still do
+                    try {
+                        const lookup = await dns.promises.lookup(device.conOptions.host, { family: 4 });
+                        device.projectorAddress = lookup.address;
+                    } catch (err) {
+                        this.log.warn(
+                            `PJLink (${device.name}) status notification not available, host ${device.conOptions.host} not resolved: ${err.message}`,
+                        );
+                    }
+                }
+            }
+
+            this.udp = new pjlinkudp({ logger: this.log });
+            this.udp.on('notification', this.pjlinkNotificationHandler.bind(this));
+            this.udp.on('lkup', (mac, rinfo) => {
+                const device = this.devices.find(item => item.projectorAddress === rinfo.address);
+                if (!device) {
+                    return;
+                }
+                this.log.info(`PJLink (${device.name}) projector (MAC: ${mac}) reports link up`);
+                if (device.timers.reconnectDelay) {
+                    this.reconnectProjector(device);
+                } else {
+                    this.registerStatusNotification(device);
+                }
+            });
+            this.udp.on('ackn', (mac, rinfo) => {
+                const device = this.devices.find(item => item.projectorAddress === rinfo.address);
+                if (device) {
+                    this.log.debug(
+                        `PJLink (${device.name}) projector (MAC: ${mac}) acknowledged the status notification registration`,
+                    );
+                }
+            });
+            await this.udp.open();
+            this.log.info(`PJLink listening for status notifications on UDP port ${this.udp.port}`);
+        } catch (err) {
+            this.log.warn(`PJLink status notification not available: ${err.message}`);
+            if (this.udp) {
+                this.udp.close();
+                this.udp = undefined;
+            }
+        }
+    }
+
+    /**
+     * Called to register this host at the projector as receiver for status notifications
+     *
+     * @param {object} device the projector
+     */
+    registerStatusNotification(device) {
+        if (!this.udp || !device.projectorAddress) {
+            return;
+        }
+        this.udp.search(device.projectorAddress).catch(err => {
+            this.log.warn(`PJLink (${device.name}) could not register for status notifications: ${err.message}`);
+        });
+    }
+
+    /**
+     * Called when a class 2 status notification is received
+     *
+     * @param {object} response the parsed notification
+     * @param {object} rinfo info about the sender
+     */
+    pjlinkNotificationHandler(response, rinfo) {
+        try {
+            const device = this.devices.find(item => item.projectorAddress === rinfo.address);
+            if (!device) {
+                this.log.debug(`PJLink ignoring notification from unknown projector ${rinfo.address}`);
+                return;
+            }
+            const notification = notifications[response.cmd];
+            if (!notification || response.isError()) {
+                return;
+            }
+            // the projector is obviously there, so let the normal reconnect handling do its work
+            if (device.timers.reconnectDelay) {
+                this.reconnectProjector(device);
+                return;
+            }
+            const value = notification.formatter.prototype.formatResult(response.getArgs() || []);
+            this.log.debug(
+                `PJLink (${device.name}) got notification '${response.cmd}', value '${JSON.stringify(value)}'`,
+            );
+            this.pjlinkAnswerHandler(device, notification.command, null, value);
+        } catch (err) {
+            this.errorHandler(err, 'pjlinkNotificationHandler');
+        }
+    }
+
+    /**
+     * Called to search for projectors in the local network by a class 2 SRCH broadcast
+     *
+     * @param {number} timeout time in ms to collect the ACKN answers
+     * @returns {Promise<Array<{address: string, mac: string}>>} the found projectors
+     */
+    async discoverProjectors(timeout) {
+        // the host selections of the configuration ask at the same time, they share one search
+        if (!this.discovery) {
+            this.discovery = (async () => {
+                // use the notification listener if running, otherwise open a temporary socket
+                const udp = this.udp || new pjlinkudp({ logger: this.log });
+                try {
+                    await udp.open();
+                    this.discoveredProjectors = await udp.discover(timeout);
+                } finally {
+                    if (udp !== this.udp) {
+                        udp.close();
+                    }
+                    this.discovery = undefined;
+                }
+                this.log.info(`PJLink discovery found ${this.discoveredProjectors.length} projector(s)`);
+                return this.discoveredProjectors;
+            })();
+        }
+        return this.discovery;
+    }
+
+    /**
+     * Called to reconnect to the projector
+     *
+     * @param {object} device the projector
+     */
+    async reconnectProjector(device) {
+        try {
+            // set the reconnect delay in advance, but only if not running
+            if (!device.timers.reconnectDelay) {
+                device.timers.reconnectDelay = setInterval(
+                    this.reconnectProjector.bind(this, device),
+                    this.config.reconnectDelay,
+                );
+            }
+            // the last attempt is still waiting for an answer or a timeout
+            if (device.reconnectRunning) {
+                return;
+            }
+            device.reconnectRunning = true;
+            try {
+                if (!(await this.checkConnection(device))) {
+                    return;
+                }
+                this.log.info(`PJLink (${device.name}) trying to (re)connect to projector`);
+                // only the getPowerState for now
+                await this.pjlinkCall(device, 'getPowerState', 'GETPOWERSTATE');
+                // the answer handler clears the reconnect timer when the connection is established
+                if (device.timers.reconnectDelay) {
+                    device.failedConnects++;
+                    if (this.config.connectionCheckMethod === 1 && device.failedConnects === this.pingAfterFailures) {
+                        this.log.info(
+                            `PJLink (${device.name}) projector not reachable, checking availability with TCP-Ping on port ${device.pingPort}`,
+                        );
+                    }
+                } else {
+                    device.failedConnects = 0;
+                }
+            } finally {
+                device.reconnectRunning = false;
+            }
+        } catch (err) {
+            this.errorHandler(err, 'reconnectProjector');
+        }
+    }
+
+    /**
+     * number of failed connection attempts after which only TCP-Pings are sent
+     *
+     * @returns {number} the configured number, default 1
+     */
+    get pingAfterFailures() {
+        const value = Number(this.config.startPingAfterNumFailures);
+        return isNaN(value) ? 1 : value;
+    }
+
+    /**
+     * Called before a PJLink connection is (re)opened to check the availability of the projector
+     * if the TCP-Ping connection check is configured
+     *
+     * @param {object} device the projector
+     * @returns {Promise<boolean>} true if the PJLink connection should be opened
+     */
+    async checkConnection(device) {
+        if (this.config.connectionCheckMethod !== 1) {
+            return true;
+        }
+        const pingMode = device.failedConnects >= this.pingAfterFailures;
+        if (!pingMode && !this.config.precheckDevice) {
+            return true;
+        }
+        const reachable = await this.tcpPing(device.conOptions.host, device.pingPort, this.config.checkTimeout || 500);
+        if (!pingMode) {
+            // precheck only
+            if (!reachable) {
+                device.failedConnects++;
+                this.log.debug(`PJLink (${device.name}) precheck failed, projector not reachable`);
+            }
+            return reachable;
+        }
+        if (!reachable) {
+            device.successfulPings = 0;
+            this.log.debug(`PJLink (${device.name}) TCP-Ping failed`);
+            return false;
+        }
+        device.successfulPings++;
+        const pingsNeeded = Math.max(Number(this.config.reconnectAfterNumPings) || 1, 1);
+        if (device.successfulPings < pingsNeeded) {
+            this.log.debug(`PJLink (${device.name}) TCP-Ping successful (${device.successfulPings} of ${pingsNeeded})`);
+            return false;
+        }
+        device.successfulPings = 0;
+        this.log.info(`PJLink (${device.name}) projector answers TCP-Ping again`);
+        return true;
+    }
+
+    /**
+     * Try to open a TCP connection to check whether a host is reachable
+     *
+     * @param {string} host host name or address
+     * @param {number} port TCP port
+     * @param {number} timeout time to wait for the connection in ms
+     * @returns {Promise<boolean>} true if the connection could be established
+     */
+    tcpPing(host, port, timeout) {
+        return new Promise(resolve => {
+            const socket = net.connect({ host: host, port: port });
+            const done = result => {
+                socket.removeAllListeners();
+                socket.on('error', () => {}); // errors after the check are not of interest
+                socket.destroy();
+                resolve(result);
+            };
+            socket.setTimeout(timeout);
+            socket.once('connect', () => done(true));
+            socket.once('timeout', () => done(false));
+            socket.once('error', () => done(false));
+        });
+    }
+
+    /**
+     * Called if the connection to the projector is lost. Stops the status queries and starts the reconnect timer
+     *
+     * @param {object} device the projector
+     */
+    connectionLost(device) {
+        if (this.unloading) {
+            return;
+        }
+        // reset connection state
+        this.setConnectionState(device, false);
+        // the power status is unknown until the projector answers again
+        if (device.powerStatus !== -1) {
+            device.powerStatus = -1;
+            device.poweredOn = false;
+            device.idle = { muted: false, noSignal: false };
+            device.idleSince = 0;
+            this.setState(`${device.prefix}powerStatus`, -1, true);
+        }
+        // the time without connection is not counted
+        device.usage.stop();
+        // stop/restart timers
+        clearTimeout(device.timers.statusDelay);
+        device.timers.statusDelay = undefined;
+        if (!device.timers.reconnectDelay) {
+            // Start reconnection only once
+            device.timers.reconnectDelay = setInterval(
+                this.reconnectProjector.bind(this, device),
+                this.config.reconnectDelay,
             );
+        }
+    }
+
+    /**
+     * Called to get the time to the next status query. It depends on the power status of the projector
+     * and is doubled for every cycle in a row in which the projector answered "unavailable time" (ERR3)
+     *
+     * @param {object} device the projector
+     * @returns {number} the delay in ms
+     */
+    getStatusDelay(device) {
+        const delay = device.pollDelays[device.powerStatus] || device.statusDelay;
+        if (!device.backoff) {
+            return delay;
+        }
+        const maxDelay = Math.max(this.config.unavailableBackoffMax || 60000, delay);
+        return Math.min(delay * 2 ** device.backoff, maxDelay);
+    }
+
+    /**
+     * Called to (re)start the timer of the status queries
+     *
+     * @param {object} device the projector
+     * @param {number} [delay] time to the next status query in ms, default depends on the power status
+     */
+    scheduleStatusQuery(device, delay) {
+        clearTimeout(device.timers.statusDelay);
+        device.timers.statusDelay = setTimeout(
+            () => {
+                const backoff = device.unavailableInCycle ? Math.min(device.backoff + 1, 10) : 0;
+                if (backoff === 1) {
+                    this.log.info(`PJLink (${device.name}) projector is unavailable, slowing down the status queries`);
+                }
+                device.backoff = backoff;
+                device.unavailableInCycle = false;
+                this.scheduleStatusQuery(device);
+                this.getProjectorStatus(device);
+            },
+            delay === undefined ? this.getStatusDelay(device) : delay,
+        );
+    }
+
+    /**
+     * Called after a command of the user to query the status soon and show the result
+     *
+     * @param {object} device the projector
+     */
+    burstStatusQuery(device) {
+        // only while connected, otherwise the reconnect timer is running
+        if (!device.timers.statusDelay) {
+            return;
+        }
+        device.backoff = 0;
+        this.scheduleStatusQuery(device, this.config.burstDelay || 0);
+    }
+
+    /**
+     * check which status query has to be done
+     *
+     * @param {object} device the projector
+     * @param {string} interval 'startup', 'short' or 'long'
+     */
+    doStatusQuery(device, interval) {
+        try {
+            this.log.debug(`PJLink (${device.name}) requesting projector information for interval: '${interval}'`);
+            if (interval === 'startup') {
+                // only called on projector connected
+                if (!device.firstRunDone) {
+                    device.firstRunDone = true;
+                    this.doQuery(device, this.statusQueryInfo.startup);
+                }
+            }
+            if (interval === 'short') {
+                // at first skip the cycles after power ON
+                if (device.skippedShortCycles > 0) {
+                    device.skippedShortCycles--;
+                    this.log.debug(`PJLink (${device.name}) skipping 'short' cycle no: ${device.skippedShortCycles}`);
+                    return;
+                }
+                device.skippedShortCycles = -1; // set to expired
+                // try to do the startupPowered queries
+                if (!device.firstRunPowered && device.poweredOn) {
+                    device.firstRunPowered = true;
+                    this.doQuery(device, this.statusQueryInfo.startupPowered);
+                }
+                this.doQuery(device, this.statusQueryInfo.short);
+                if (device.poweredOn) {
+                    this.doQuery(device, this.statusQueryInfo.shortPowered);
+                }
+            }
+            if (interval === 'long') {
+                this.doQuery(device, this.statusQueryInfo.long);
+                if (device.poweredOn) {
+                    this.doQuery(device, this.statusQueryInfo.longPowered);
+                }
+            }
+        } catch (err) {
+            this.errorHandler(err, 'doStatusQuery');
+        }
+    }
+
+    /**
+     * check which status query has to be done
+     *
+     * @param {object} device the projector
+     * @param {object} queriesTodo a array with the queries which has to be done
+     * @returns {Promise<Array<Error | null>>} resolved with the errors of the queries when all are answered
+     */
+    doQuery(device, queriesTodo) {
+        const calls = [];
+        try {
+            for (const code of queriesTodo) {
+                if (class2Queries.includes(code) && !device.class2States) {
+                    continue;
+                }
+                // ['POWR', 'INPT', 'CLSS', 'AVMT', 'ERST', 'LAMP', 'FILT', 'INST', 'NAME', 'INF1', 'INF2', 'INFO', 'FREZ', 'IRES', 'RRES']
+                switch (code) {
+                    case 'POWR':
+                        calls.push(this.pjlinkCall(device, 'getPowerState', 'GETPOWERSTATE'));
+                        break;
+
+                    case 'INPT':
+                        calls.push(this.pjlinkCall(device, 'getInput', 'GETINPUT'));
+                        break;
+
+                    case 'CLSS':
+                        calls.push(this.pjlinkCall(device, 'getClass', 'GETCLASS'));
+                        break;
+
+                    case 'AVMT':
+                        calls.push(this.pjlinkCall(device, 'getMute', 'GETMUTE'));
+                        break;
+
+                    case 'ERST':
+                        calls.push(this.pjlinkCall(device, 'getErrors', 'GETERRORS'));
+                        break;
+
+                    case 'LAMP':
+                        calls.push(this.pjlinkCall(device, 'getLamps', 'GETLAMPS'));
+                        break;
+
+                    case 'FILT':
+                        // the filter usage time is a class 2 command
+                        if (device.conOptions.class > 1) {
+                            calls.push(this.pjlinkCall(device, 'getFilterUsageTime', 'GETFILTER'));
+                        }
+                        break;
+
+                    case 'INST':
+                        calls.push(this.pjlinkCall(device, 'getInputs', 'GETINPUTS'));
+                        break;
+
+                    case 'NAME':
+                        calls.push(this.pjlinkCall(device, 'getName', 'GETNAME'));
+                        break;
+
+                    case 'INF1':
+                        calls.push(this.pjlinkCall(device, 'getManufacturer', 'GETMANUFACTURER'));
+                        break;
+
+                    case 'INF2':
+                        calls.push(this.pjlinkCall(device, 'getModel', 'GETMODEL'));
+                        break;
+
+                    case 'INFO':
+                        calls.push(this.pjlinkCall(device, 'getInfo', 'GETINFO'));
+                        break;
+
+                    case 'FREZ':
+                        calls.push(this.pjlinkCall(device, 'getFreeze', 'GETFREEZE'));
+                        break;
+
+                    case 'IRES':
+                        calls.push(this.pjlinkCall(device, 'getInputResolution', 'GETINPUTRESOLUTION'));
+                        break;
+
+                    case 'RRES':
+                        calls.push(this.pjlinkCall(device, 'getRecommendedResolution', 'GETRECOMMENDEDRESOLUTION'));
+                        break;
+
+                    default:
+                        this.errorHandler(`Unknown query code '${code}'`, 'doStatusQuery');
+                }
+            }
+        } catch (err) {
+            this.errorHandler(err, 'doStatusQuery');
+        }
+        return Promise.all(calls);
+    }
+
+    /**
+     * Called to refresh the projector status, main timer routine
+     *
+     * @param {object} device the projector
+     */
+    async getProjectorStatus(device) {
+        try {
+            // with an open session there is no new connection to check
+            if (this.config.connectionCheckMethod === 1 && this.config.precheckDevice && !device.projector.connected) {
+                if (!(await this.tcpPing(device.conOptions.host, device.pingPort, this.config.checkTimeout || 500))) {
+                    this.log.warn(`PJLink (${device.name}) precheck failed, projector not reachable`);
+                    this.connectionLost(device);
+                    return;
+                }
+            }
+            this.doStatusQuery(device, 'short');
+            // the poll interval changes with the power status, so the long interval is measured in time
+            if (Date.now() - device.lastInformationQuery >= device.informationDelay) {
+                device.lastInformationQuery = Date.now();
+                this.doStatusQuery(device, 'long');
+            }
+        } catch (err) {
+            this.errorHandler(err, 'getProjectorStatus');
+        }
+    }
+
+    /**
+     * Called to turn the projector on or off depemding on its actual state
+     *
+     * @param {object} device the projector
+     */
+    async projectorOnOff(device) {
+        try {
+            this.log.info(`PJLink (${device.name}) power button pressed`);
+
+            // reset power button status. Set as confirmed by hardware (ack = true)
+            this.setState(`${device.prefix}power`, false, true);
+
+            // toggle against the state the projector is heading to
+            switch (device.powerStatus) {
+                case 0: // off
+                case 2: // cooling down
+                    await this.setPowerTarget(device, true);
+                    break;
+                case 1: // on
+                case 3: // warming up
+                    await this.setPowerTarget(device, false);
+                    break;
+                default:
+                    this.log.warn(`PJLink (${device.name}) power status unknown. Use powerOn or powerOff`);
+            }
+        } catch (err) {
+            this.errorHandler(err, 'projectorOnOff');
+        }
+    }
+
+    /**
+     * Called to switch the projector on or off. While warming up or cooling down the projector refuses
+     * power commands, so the target is kept and executed when the projector reaches a stable state
+     *
+     * @param {object} device the projector
+     * @param {boolean} on true to switch on, false to switch off
+     * @returns {Promise<object>} the result for the sendTo API: { result: 'OK' | 'deferred' | 'unchanged' } or the error
+     */
+    async setPowerTarget(device, on) {
+        try {
+            if (device.powerStatus === 2 || device.powerStatus === 3) {
+                device.pendingPower = on;
+                this.log.info(
+                    `PJLink (${device.name}) Projector is currently ${device.powerStatus === 2 ? 'cooling down' : 'warming up'}. Switching ${on ? 'on' : 'off'} when finished`,
+                );
+                return { result: 'deferred' };
+            }
+            device.pendingPower = null;
+            if (device.powerStatus === (on ? 1 : 0)) {
+                this.log.info(`PJLink (${device.name}) Projector is already ${on ? 'on' : 'off'}`);
+                this.setState(`${device.prefix}powerTarget`, on, true);
+                return { result: 'unchanged' };
+            }
+            if (on) {
+                this.log.info(`PJLink (${device.name}) Trying to switch projector on`);
+                device.skippedShortCycles = this.config.skippedCyclesAfterPowerOn;
+                this.log.debug(
+                    `PJLink (${device.name}) now skipping ${device.skippedShortCycles} times the 'short' query cycle`,
+                );
+                return this.apiResult(await this.pjlinkCall(device, 'powerOn', 'ERROR'));
+            }
+            this.log.info(`PJLink (${device.name}) Trying to switch projector off`);
+            return this.apiResult(await this.pjlinkCall(device, 'powerOff', 'ERROR'));
+        } catch (err) {
+            this.errorHandler(err, 'setPowerTarget');
+            return { error: err.message };
+        }
+    }
+
+    /**
+     * Called to start (minutes > 0) or stop (0) the sleep timer, which switches the projector off
+     *
+     * @param {object} device the projector
+     * @param {number} minutes the minutes until the projector is switched off
+     */
+    setSleepTimer(device, minutes) {
+        try {
+            minutes = Math.max(Math.round(minutes) || 0, 0);
+            device.sleepUntil = minutes ? Date.now() + minutes * 60000 : 0;
+            if (minutes) {
+                this.log.info(`PJLink (${device.name}) switching the projector off in ${minutes} minutes`);
+            }
+            this.setState(`${device.prefix}sleepTimer`, minutes, true);
+            this.setState(`${device.prefix}sleepTimerRemaining`, minutes, true);
+        } catch (err) {
+            this.errorHandler(err, 'setSleepTimer');
+        }
+    }
+
+    /**
+     * Called every scheduleInterval to run the sleep timers, the weekly schedule and the auto off rule.
+     * All of them switch the projector with setPowerTarget, so warming up and cooling down are respected
+     *
+     * @param {number} [now] the actual time in ms
+     */
+    checkSchedules(now = Date.now()) {
+        try {
+            const rules = Array.isArray(this.config.schedules) ? this.config.schedules : [];
+            const dueRules = schedule.due(rules, this.lastScheduleCheck || now, now);
+            this.lastScheduleCheck = now;
+            const autoOff = Number(this.config.autoOffMinutes) || 0;
+            for (const device of this.devices) {
+                for (const item of dueRules) {
+                    // rules without a device are for all projectors
+                    if (item.rule.device && item.rule.device !== device.name) {
+                        continue;
+                    }
+                    if (!device.connectedState) {
+                        this.log.info(
+                            `PJLink (${device.name}) not connected, schedule rule ${item.rule.action} (${item.rule.time}) skipped`,
+                        );
+                        continue;
+                    }
+                    this.log.info(
+                        `PJLink (${device.name}) schedule switches the projector ${item.rule.action} (${item.rule.time})`,
+                    );
+                    this.setPowerTarget(device, item.rule.action === 'on');
+                }
+                if (device.sleepUntil) {
+                    if (device.sleepUntil <= now) {
+                        // an expired sleep timer waits until the projector is connected again
+                        if (device.connectedState) {
+                            this.log.info(`PJLink (${device.name}) sleep timer expired`);
+                            this.setSleepTimer(device, 0);
+                            this.setPowerTarget(device, false);
+                        } else {
+                            this.setStateChanged(`${device.prefix}sleepTimerRemaining`, 0, true);
+                        }
+                    } else {
+                        const remaining = Math.ceil((device.sleepUntil - now) / 60000);
+                        this.setStateChanged(`${device.prefix}sleepTimerRemaining`, remaining, true);
+                    }
+                }
+                if (
+                    autoOff &&
+                    device.idleSince &&
+                    device.powerStatus === 1 &&
+                    now - device.idleSince >= autoOff * 60000
+                ) {
+                    const reason = device.idle.muted ? 'picture muted' : 'no input signal';
+                    this.log.info(`PJLink (${device.name}) ${reason} for ${autoOff} minutes, auto off`);
+                    device.idle = { muted: false, noSignal: false };
+                    device.idleSince = 0;
+                    this.setPowerTarget(device, false);
+                }
+            }
+        } catch (err) {
+            this.errorHandler(err, 'checkSchedules');
+        }
+    }
+
+    /**
+     * Called to send any command through the queue of the projector, e.g. a vendor specific one
+     *
+     * @param {object} device the projector
+     * @param {string} cmd the 4 character command, e.g. 'POWR'
+     * @param {any} [args] the parameter as string or array, default '?'
+     * @param {number} [cls] the class of the command header, default 1
+     * @returns {Promise<{result?: string, error?: string, code?: string}>} the answer or the error, e.g. { error: 'Unavailable time', code: 'ERR3' }
+     */
+    async sendRaw(device, cmd, args, cls) {
+        const param = Array.isArray(args) ? args.join(' ') : args === undefined || args === null ? '?' : String(args);
+        try {
+            const result = await device.projector.sendRaw(String(cmd || ''), param, Number(cls) || 1);
+            this.log.debug(`PJLink (${device.name}) raw command ${cmd} ${param} answered: '${result}'`);
+            return { result: result };
+        } catch (err) {
+            this.log.warn(`PJLink (${device.name}) raw command ${cmd} ${param} failed: ${err.message}`);
+            return this.apiResult(err);
+        }
+    }
+
+    /**
+     * Called to build the answer of the sendTo API from the error of a PJLink command
+     *
+     * @param {Error | null} err the error, null if the command was successful
+     * @returns {{result?: string, error?: string, code?: string}} { result: 'OK' } or the error, e.g. { error: 'Unavailable time', code: 'ERR3' }
+     */
+    apiResult(err) {
+        if (!err) {
+            return { result: 'OK' };
+        }
+        const code = Object.keys(pjresponse.ERRORS).find(key => pjresponse.ERRORS[key] === err.message);
+        return code ? { error: err.message, code: code } : { error: err.message };
+    }
+
+    /**
+     * Called to read the actual values of a projector for the sendTo API
+     *
+     * @param {object} device the projector
+     * @param {boolean} deviceInfo true for the states below deviceInfo, false for all other states
+     * @returns {Promise<Record<string, any>>} the values by state id (relative to the projector or deviceInfo)
+     */
+    async getApiValues(device, deviceInfo) {
+        const values = {};
+        if (deviceInfo) {
+            // with the objects of the lamps > 1
+            const base = `${this.namespace}.${device.prefix}deviceInfo.`;
+            const states = await this.getStatesAsync(`${device.prefix}deviceInfo.*`);
+            for (const [id, state] of Object.entries(states)) {
+                values[id.substring(base.length)] = state ? state.val : null;
+            }
+            return values;
+        }
+        // all states of the projector, also the ones created at runtime like signal.* or statistics.inputTime.*
+        const base = `${this.namespace}.${device.prefix}`;
+        const states = await this.getStatesAsync(`${device.prefix}*`);
+        for (const [fullId, state] of Object.entries(states)) {
+            const id = fullId.substring(base.length);
+            if (id.startsWith('deviceInfo.') || this.isButton(id)) {
+                continue;
+            }
+            values[id] = state ? state.val : null;
+        }
+        return values;
+    }
+
+    /**
+     * Called to check if a state of a projector is a button, buttons have no value for the sendTo API
+     *
+     * @param {string} id the id relative to the projector, e.g. 'powerOn'
+     * @returns {boolean} true for a button
+     */
+    isButton(id) {
+        if (id.startsWith('inputs.')) {
+            return true;
+        }
+        const obj = ioPackage.instanceObjects.find(item => item._id === id) || class2Objects[id];
+        return !!obj && obj.type === 'state' && obj.common.role === 'button';
+    }
+
+    /**
+     * Called to query all configured status and information values at once
+     *
+     * @param {object} device the projector
+     * @returns {Promise<object>} the result for the sendTo API: { result: 'OK' } or the first error
+     */
+    async refreshProjector(device) {
+        const info = this.statusQueryInfo;
+        const todo = [...info.startup, ...info.short, ...info.long];
+        if (device.poweredOn) {
+            todo.push(...info.startupPowered, ...info.shortPowered, ...info.longPowered);
+        }
+        const errors = await this.doQuery(device, todo);
+        return this.apiResult(errors.find(err => err) || null);
+    }
+
+    /**
+     * Called by onMessage for the commands of the sendTo API
+     *
+     * @param {object} device the projector
+     * @param {string} command the command, e.g. 'powerOn'
+     * @param {object} message the message, e.g. { input: 'HDMI 1' }
+     * @returns {Promise<object>} { result: ... } or the error, e.g. { error: 'Unavailable time', code: 'ERR3' }
+     */
+    async executeApi(device, command, message) {
+        if (command !== 'getStatus' && command !== 'getDeviceInfo' && !device.connectedState) {
+            return { error: pjresponse.ERRORS.ERRD, code: 'ERRD' };
+        }
+        switch (command) {
+            case 'getStatus':
+                return { result: await this.getApiValues(device, false) };
+            case 'getDeviceInfo':
+                return { result: await this.getApiValues(device, true) };
+            case 'powerOn':
+            case 'powerOff':
+                return this.setPowerTarget(device, command === 'powerOn');
+            case 'setInput':
+                // a code like 31 or 3B or a name
+                return this.setInputByName(device, String(message.input));
+            case 'setMute':
+                // 10/11: video, 20/21: audio, 30/31: video and audio mute off/on
+                if (!/^[123][01]$/.test(String(message.mute))) {
+                    return { error: `Invalid mute status '${message.mute}'` };
+                }
+                return this.setMute(device, parseInt(message.mute));
+            case 'refresh': {
+                const answer = await this.refreshProjector(device);
+                return answer.error ? answer : { result: await this.getApiValues(device, false) };
+            }
+            default:
+                return { error: `Unknown command '${command}'` };
+        }
+    }
+
+    /**
+     * Called by the rawCommand state, e.g. 'POWR ?' or '%2INNM ?31'. The answer is written to rawResponse
+     * like the telegram of the projector, e.g. '%2INNM=HDMI 1' or '%1POWR=ERR3'
+     *
+     * @param {object} device the projector
+     * @param {string} text the command
+     */
+    async setRawCommand(device, text) {
+        try {
+            const raw = pjcommand.parseRawCommand(text);
+            if (!raw) {
+                this.log.warn(`PJLink (${device.name}) invalid raw command '${text}'`);
+                return;
+            }
+            this.setState(`${device.prefix}rawCommand`, text, true);
+            const answer = await this.sendRaw(device, raw.cmd, raw.args, raw.cls);
+            const data = answer.error === undefined ? answer.result : answer.code || answer.error;
+            this.setState(`${device.prefix}rawResponse`, `%${raw.cls}${raw.cmd}=${data}`, true);
+        } catch (err) {
+            this.errorHandler(err, 'setRawCommand');
+        }
+    }
+
+    /**
+     * Called to set the mute status
+     *
+     * @param {object} device the projector
+     * @param {number} status the mute status to set
+     * @returns {Promise<object>} the result for the sendTo API: { result: 'OK' } or the error
+     */
+    async setMute(device, status) {
+        try {
+            this.log.info(`PJLink (${device.name}) mute status changed to: ${status}`);
+            return this.apiResult(await this.pjlinkCall(device, 'setMute', 'ERROR', status));
+        } catch (err) {
+            this.errorHandler(err, 'setMute');
+            return { error: err.message };
+        }
+    }
+
+    /**
+     * Called to create the lifetime states of a lamp > 1, copied from the states of lamp 1
+     *
+     * @param {object} device the projector
+     * @param {number} index number of the lamp
+     */
+    async createLifetimeObjects(device, index) {
+        for (const obj of ioPackage.instanceObjects) {
+            const match = /^deviceInfo\.lamps\.lamp1(RemainingHours|PercentUsed|BurnRate|ReplacementDate)$/.exec(
+                obj._id,
+            );
+            if (!match) {
+                continue;
+            }
+            const common = JSON.parse(JSON.stringify(obj.common));
+            for (const lang of Object.keys(common.name)) {
+                common.name[lang] = common.name[lang].replace(/1$/, `${index}`);
+            }
+            await this.setObjectNotExistsAsync(`${device.prefix}deviceInfo.lamps.lamp${index}${match[1]}`, {
+                type: 'state',
+                common: common,
+                native: {},
+            });
+        }
+    }
+
+    /**
+     * Called with the operating hours of a lamp or the filter to update the history and the forecast
+     *
+     * @param {object} device the projector
+     * @param {string} item 'lamp1', 'lamp2', ... or 'filter'
+     * @param {number} hours the operating hours
+     */
+    async updateLifetime(device, item, hours) {
+        try {
+            const base = `${device.prefix}deviceInfo.${item === 'filter' ? 'filter.filter' : `lamps.${item}`}`;
+            const ratedLife = item === 'filter' ? device.filterLife : device.lampLife;
+
+            // the daily samples are kept in the object of the hours state to survive restarts
+            const obj = await this.getObjectAsync(`${base}Hours`);
+            const history = obj && obj.native ? obj.native.history : undefined;
+            const newHistory = lifetime.addSample(history, hours);
+            if (newHistory !== history) {
+                await this.extendObjectAsync(`${base}Hours`, { native: { history: newHistory } });
+            }
+
+            const result = lifetime.forecast(hours, ratedLife, newHistory, this.config.maintenanceThreshold || 90);
+            this.setStateChanged(`${base}RemainingHours`, result.remainingHours, true);
+            this.setStateChanged(`${base}PercentUsed`, result.percentUsed, true);
+            this.setStateChanged(`${base}BurnRate`, result.burnRate, true);
+            this.setStateChanged(`${base}ReplacementDate`, result.replacementDate, true);
+
+            if (result.maintenanceDue && !device.maintenanceDue[item]) {
+                this.log.warn(
+                    `PJLink (${device.name}) ${item} has used ${result.percentUsed}% of its rated life, replacement due`,
+                );
+            }
+            device.maintenanceDue[item] = result.maintenanceDue;
+            this.setStateChanged(
+                `${device.prefix}deviceInfo.maintenanceDue`,
+                Object.values(device.maintenanceDue).some(due => due),
+                true,
+            );
+        } catch (err) {
+            this.errorHandler(err, 'updateLifetime');
+        }
+    }
+
+    /**
+     * the inputInfo table of the instance configuration
+     *
+     * @returns {Array<{source: number, channel: number | string, code: string, name: string}>} the inputs with their names
+     */
+    get inputInfo() {
+        return Array.isArray(this.config.inputInfo) ? this.config.inputInfo : [];
+    }
+
+    /**
+     * Called to get the name of an input. The name from the inputInfo table is preferred,
+     * then the name reported by the projector (INNM) and at last the source type
+     *
+     * @param {object} device the projector
+     * @param {string} code the input code, e.g. '32'
+     * @returns {string} the name, e.g. 'Laptop', 'HDMI 2' or 'DIGITAL - 2'
+     */
+    getInputName(device, code) {
+        const info = this.inputInfo.find(item => String(item.code) === String(code));
+        if (info && info.name && info.name.trim()) {
+            return info.name.trim();
+        }
+        if (device.inputNames[code]) {
+            return device.inputNames[code];
+        }
+        return this.getSourceName(code);
+    }
 
-            this.log.warn(`password: ${this.conOptions.password}`);
-            // instantiate connection object for the projector
-            this.projector = new pjlink(this.conOptions);
-            // this.projector2 = new pjlink2(this.conOptions);
+    /**
+     * Called to get the PJLink source name of an input code
+     *
+     * @param {string} code the input code, e.g. '32'
+     * @returns {string} the name, e.g. 'DIGITAL - 2'
+     */
+    getSourceName(code) {
+        const source = parseInt(String(code).substring(0, 1));
+        const channel = String(code).substring(1);
+        const key = Object.keys(pjcommand.INPUT).find(item => pjcommand.INPUT[item] === source);
+        return key ? `${key} - ${channel}` : String(code);
+    }
 
-            // try to communicate to the projector
-            this.reconnectProjector();
-        } catch (err) {
-            this.errorHandler(err, 'onReady');
+    /**
+     * Called by the updateInputs message to fill the names of the available inputs.
+     * Class 2 projectors are asked with INNM, otherwise and for empty names the source name is used, e.g. 'DIGITAL - 2'
+     *
+     * @param {object} device the projector
+     * @param {Array<any>} inputs the inputs from deviceInfo.inputsAvailable, e.g. [{ code: '32', ... }]. Changed in place
+     */
+    async discoverInputNames(device, inputs) {
+        for (const input of inputs) {
+            let name = '';
+            if ((device.conOptions.class > 1 || device.class2States) && device.connectedState) {
+                name = await this.queryInputName(device, input.code);
+            }
+            if (!name) {
+                name = this.getSourceName(input.code);
+            }
+            input.name = name;
         }
     }
 
     /**
-     * Called to build the status query array
+     * Called to ask a class 2 projector for the name of an input (INNM). The name is kept in device.inputNames
+     *
+     * @param {object} device the projector
+     * @param {string} code the input code, e.g. '32'
+     * @returns {Promise<string>} the name, '' if the projector has no name for the input
      */
-    async buildStatusQueryInfo() {
+    async queryInputName(device, code) {
         try {
-            for (const query of queries) {
-                const queryType = `queryType${query}`;
-                const queryTypePwr = `queryOnlyPwr${query}`;
-                switch (this.config[queryType]) {
-                    case 1: // startup
-                        if (this.config[queryTypePwr]) {
-                            this.statusQueryInfo.startupPowered.push(query);
-                        } else {
-                            this.statusQueryInfo.startup.push(query);
-                        }
-                        break;
-
-                    case 2: // short
-                        if (this.config[queryTypePwr]) {
-                            this.statusQueryInfo.shortPowered.push(query);
-                        } else {
-                            this.statusQueryInfo.short.push(query);
-                        }
-                        break;
+            // an empty answer has no value
+            device.inputNames[code] = String((await device.projector.getInputName(code)) || '').trim();
+        } catch (err) {
+            this.log.debug(`PJLink (${device.name}) no name for input ${code}: ${err.message}`);
+            return '';
+        }
+        return device.inputNames[code];
+    }
 
-                    case 3: // long
-                        if (this.config[queryTypePwr]) {
-                            this.statusQueryInfo.longPowered.push(query);
-                        } else {
-                            this.statusQueryInfo.long.push(query);
-                        }
-                        break;
+    /**
+     * Called to find the input code of a name from the inputInfo table, the names reported by the projector
+     * (both case-insensitive), a source name like 'DIGITAL - 2' or an input code like '32' or '3B'
+     *
+     * @param {object} device the projector
+     * @param {string} name the name of the input
+     * @returns {string | undefined} the input code
+     */
+    findInputCode(device, name) {
+        const search = name.trim().toLowerCase();
+        const info = this.inputInfo.find(item => item.name && item.name.trim().toLowerCase() === search);
+        if (info) {
+            return String(info.code);
+        }
+        const reported = Object.keys(device.inputNames).find(
+            code => device.inputNames[code] && device.inputNames[code].toLowerCase() === search,
+        );
+        if (reported) {
+            return reported;
+        }
+        const code = pjcommand.findSourceCode(name);
+        if (code) {
+            return code;
+        }
+        if (/^[1-6][1-9a-z]$/.test(search)) {
+            return search.toUpperCase();
+        }
+        return undefined;
+    }
 
-                    default: // never and other
-                        break;
-                }
+    /**
+     * Called by the inputName state to switch the input by its name
+     *
+     * @param {object} device the projector
+     * @param {string} name the name of the input
+     */
+    async setInputByName(device, name) {
+        try {
+            const code = this.findInputCode(device, name);
+            if (!code) {
+                this.log.warn(`PJLink (${device.name}) unknown input name '${name}'`);
+                return { error: `Unknown input '${name}'` };
             }
-            this.log.debug(`Ready building statusQueryInfo: ${JSON.stringify(this.statusQueryInfo)}`);
+            this.log.info(`PJLink (${device.name}) switching to input '${name}' (${code})`);
+            return this.apiResult(await this.pjlinkCall(device, 'setInput', 'ERROR', code));
         } catch (err) {
-            this.errorHandler(err, 'buildStatusQueryInfo');
+            this.errorHandler(err, 'setInputByName');
+            return { error: err.message };
         }
     }
 
     /**
-     * Called to reconnect to the projector
+     * Called when the projector reports class 2 (CLSS) to create the volume buttons and the freeze state
+     *
+     * @param {object} device the projector
      */
-    reconnectProjector() {
+    async createClass2States(device) {
+        if (device.class2States) {
+            return;
+        }
         try {
-            this.log.info(`PJLink trying to (re)connect to projector`);
-            // only the getPowerState for now
-            this.projector.getPowerState(this.pjlinkAnswerHandler.bind(this, 'GETPOWERSTATE'));
-            // and set the reconnect delay in advance, but only if not running
-            if (!this.timers.reconnectDelay) {
-                this.timers.reconnectDelay = setInterval(
-                    this.reconnectProjector.bind(this),
-                    this.config.reconnectDelay,
-                );
+            for (const [id, obj] of Object.entries(class2Objects)) {
+                const common =
+                    obj.type === 'state'
+                        ? { type: 'boolean', read: true, write: true, def: false, ...obj.common }
+                        : obj.common;
+                await this.setObjectNotExistsAsync(`${device.prefix}${id}`, {
+                    // @ts-expect-error the type is taken from class2Objects and is valid
+                    type: obj.type,
+                    common: common,
+                    native: {},
+                });
             }
+            device.class2States = true;
+            this.log.info(`PJLink (${device.name}) class 2 projector, volume, freeze and signal states created`);
+            // the class 2 startup queries were skipped before the class was known
+            this.doQuery(
+                device,
+                this.statusQueryInfo.startup.filter(code => class2Queries.includes(code)),
+            );
         } catch (err) {
-            this.errorHandler(err, 'reconnectProjector');
+            this.errorHandler(err, 'createClass2States');
         }
     }
 
     /**
-     * check which status query has to be done
+     * Called with the mute status and the input signal to start or stop the time of the auto off rule
      *
-     * @param {string} interval 'startup', 'short' or 'long'
+     * @param {object} device the projector
+     * @param {string} reason 'muted' (video mute) or 'noSignal' (class 2, IRES reports no signal)
+     * @param {boolean} idle true if the reason applies
+     */
+    setIdle(device, reason, idle) {
+        device.idle[reason] = idle;
+        if (!device.idle.muted && !device.idle.noSignal) {
+            device.idleSince = 0;
+        } else if (!device.idleSince) {
+            device.idleSince = Date.now();
+        }
+    }
+
+    /**
+     * Called with the answer of IRES or RRES to update the signal states
+     *
+     * @param {object} device the projector
+     * @param {string} which 'input' or 'recommended'
+     * @param {any} resolution the resolution, e.g. { code: '1920x1080', signal: true, horizontal: 1920, vertical: 1080 }
+     */
+    updateSignal(device, which, resolution) {
+        const prefix = device.prefix;
+        const previous = device.resolution.input;
+        device.resolution[which] = resolution;
+        if (which === 'input') {
+            this.setState(`${prefix}signal.inputResolution`, resolution.code, true);
+            this.setState(`${prefix}signal.present`, resolution.signal, true);
+            if (previous && previous.signal && !resolution.signal) {
+                this.log.info(`PJLink (${device.name}) no signal on the active input`);
+            }
+            this.setIdle(device, 'noSignal', !resolution.signal);
+        } else {
+            this.setState(`${prefix}signal.recommendedResolution`, resolution.code, true);
+        }
+        // only known resolutions can be compared
+        const input = device.resolution.input;
+        const recommended = device.resolution.recommended;
+        const mismatch =
+            !!input &&
+            !!recommended &&
+            input.horizontal !== null &&
+            recommended.horizontal !== null &&
+            (input.horizontal !== recommended.horizontal || input.vertical !== recommended.vertical);
+        this.setState(`${prefix}signal.mismatch`, mismatch, true);
+    }
+
+    /**
+     * Called by the volume buttons
+     *
+     * @param {object} device the projector
+     * @param {string} button the button, speakerUp, speakerDown, micUp or micDown
+     */
+    setVolume(device, button) {
+        const direction = button.endsWith('Up') ? pjcommand.VOLUME.UP : pjcommand.VOLUME.DOWN;
+        if (button.startsWith('speaker')) {
+            this.pjlinkCall(device, 'setSpeakerVolume', 'ERROR', direction);
+        } else {
+            this.pjlinkCall(device, 'setMicrophoneVolume', 'ERROR', direction);
+        }
+    }
+
+    /**
+     * Called with the available inputs (INST) to fill the channel deviceInfo.inputs.<code> with name, type and channel
+     *
+     * @param {object} device the projector
+     * @param {Array<any>} inputs the inputs, e.g. [{ code: '31', source: 3, channel: '1', ... }]
      */
-    doStatusQuery(interval) {
+    async createInputInfo(device, inputs) {
         try {
-            this.log.debug(`PJLink requesting projector information for interval: '${interval}'`);
-            if (interval === 'startup') {
-                // only called on projector connected
-                if (!this.firstRunDone) {
-                    this.firstRunDone = true;
-                    this.doQuery(this.statusQueryInfo.startup);
+            for (const input of inputs) {
+                const base = `${device.prefix}deviceInfo.inputs.${input.code}`;
+                const type = Object.keys(pjcommand.INPUT).find(item => pjcommand.INPUT[item] === input.source) || '';
+                await this.setObjectNotExistsAsync(base, {
+                    type: 'channel',
+                    common: {
+                        name: `Input ${input.code}`,
+                    },
+                    native: {
+                        code: input.code,
+                    },
+                });
+                const values = {
+                    name: {
+                        value: this.getInputName(device, input.code),
+                        role: 'info.name',
+                        name: 'Name of the input',
+                    },
+                    type: { value: type, role: 'text', name: 'Source type, e.g. DIGITAL' },
+                    channel: { value: String(input.channel), role: 'text', name: 'Channel of the source' },
+                };
+                for (const [id, item] of Object.entries(values)) {
+                    await this.setObjectNotExistsAsync(`${base}.${id}`, {
+                        type: 'state',
+                        common: {
+                            role: item.role,
+                            name: item.name,
+                            type: 'string',
+                            read: true,
+                            write: false,
+                            def: '',
+                        },
+                        native: {},
+                    });
+                    this.setStateChanged(`${base}.${id}`, item.value, true);
                 }
             }
-            if (interval === 'short') {
-                // at first skip the cycles after power ON
-                if (this.skippedShortCycles > 0) {
-                    this.skippedShortCycles--;
-                    this.log.debug(`PJLink skipping 'short' cycle no: ${this.skippedShortCycles}`);
-                    return;
-                }
-                this.skippedShortCycles = -1; // set to expired
-                // try to do the startupPowered queries
-                if (!this.firstRunPowered && this.poweredOn) {
-                    this.firstRunPowered = true;
-                    this.doQuery(this.statusQueryInfo.startupPowered);
-                }
-                this.doQuery(this.statusQueryInfo.short);
-                if (this.poweredOn) {
-                    this.doQuery(this.statusQueryInfo.shortPowered);
+        } catch (err) {
+            this.errorHandler(err, 'createInputInfo');
+        }
+    }
+
+    /**
+     * Called with the available inputs (INST) to create one button per input
+     *
+     * @param {object} device the projector
+     * @param {Array<any>} inputs the inputs, e.g. [{ code: '31', ... }]
+     */
+    async createInputButtons(device, inputs) {
+        try {
+            for (const input of inputs) {
+                const id = `${device.prefix}inputs.${input.code}`;
+                // class 2 projectors are asked once for the name of each new input
+                if ((device.conOptions.class > 1 || device.class2States) && !(input.code in device.inputNames)) {
+                    await this.queryInputName(device, input.code);
                 }
-            }
-            if (interval === 'long') {
-                this.doQuery(this.statusQueryInfo.long);
-                if (this.poweredOn) {
-                    this.doQuery(this.statusQueryInfo.longPowered);
+                const name = this.getInputName(device, input.code);
+                const obj = await this.getObjectAsync(id);
+                if (obj) {
+                    // only the name can change, e.g. after editing the inputs table
+                    if (obj.common.name !== name) {
+                        await this.extendObjectAsync(id, { common: { name: name } });
+                    }
+                    continue;
                 }
+                await this.setObjectNotExistsAsync(id, {
+                    type: 'state',
+                    common: {
+                        role: 'button',
+                        name: name,
+                        type: 'boolean',
+                        read: true,
+                        write: true,
+                        def: false,
+                    },
+                    native: {
+                        code: input.code,
+                    },
+                });
             }
         } catch (err) {
-            this.errorHandler(err, 'doStatusQuery');
+            this.errorHandler(err, 'createInputButtons');
         }
     }
 
     /**
-     * check which status query has to be done
+     * Called on startup to restore the usage statistics of a projector from the states
      *
-     * @param {object} queriesTodo a array with the queries which has to be done
+     * @param {object} device the projector
      */
-    doQuery(queriesTodo) {
+    async restoreUsage(device) {
         try {
-            for (const code of queriesTodo) {
-                // ['POWR', 'INPT', 'CLSS', 'AVMT', 'ERST', 'LAMP', 'INST', 'NAME', 'INF1', 'INF2', 'INFO']
-                switch (code) {
-                    case 'POWR':
-                        this.projector.getPowerState(this.pjlinkAnswerHandler.bind(this, 'GETPOWERSTATE'));
-                        break;
-
-                    case 'INPT':
-                        this.projector.getInput(this.pjlinkAnswerHandler.bind(this, 'GETINPUT'));
-                        break;
-
-                    case 'CLSS':
-                        this.projector.getClass(this.pjlinkAnswerHandler.bind(this, 'GETCLASS'));
-                        break;
-
-                    case 'AVMT':
-                        this.projector.getMute(this.pjlinkAnswerHandler.bind(this, 'GETMUTE'));
-                        break;
-
-                    case 'ERST':
-                        this.projector.getErrors(this.pjlinkAnswerHandler.bind(this, 'GETERRORS'));
-                        break;
-
-                    case 'LAMP':
-                        this.projector.getLamps(this.pjlinkAnswerHandler.bind(this, 'GETLAMPS'));
-                        break;
-
-                    case 'INST':
-                        this.projector.getInputs(this.pjlinkAnswerHandler.bind(this, 'GETINPUTS'));
-                        break;
-
-                    case 'NAME':
-                        this.projector.getName(this.pjlinkAnswerHandler.bind(this, 'GETNAME'));
-                        break;
-
-                    case 'INF1':
-                        this.projector.getManufacturer(this.pjlinkAnswerHandler.bind(this, 'GETMANUFACTURER'));
-                        break;
-
-                    case 'INF2':
-                        this.projector.getModel(this.pjlinkAnswerHandler.bind(this, 'GETMODEL'));
-                        break;
-
-                    case 'INFO':
-                        this.projector.getInfo(this.pjlinkAnswerHandler.bind(this, 'GETINFO'));
-                        break;
-
-                    default:
-                        this.errorHandler(`Unknown query code '${code}'`, 'doStatusQuery');
-                }
+            const states = await this.getStatesAsync(`${device.prefix}statistics.*`);
+            const counters = {};
+            for (const [id, state] of Object.entries(states || {})) {
+                counters[id.replace(`${this.namespace}.${device.prefix}statistics.`, '')] = state;
             }
+            device.usage.restore(counters);
         } catch (err) {
-            this.errorHandler(err, 'doStatusQuery');
+            this.errorHandler(err, 'restoreUsage');
         }
     }
 
     /**
-     * Called to refresh the projector status, main timer routine
+     * Called with every status change of power, input or mute to update the usage statistics
+     *
+     * @param {object} device the projector
+     * @param {{power?: number, input?: string, muted?: boolean}} status the changed parts of the status
      */
-    getProjectorStatus() {
+    async updateUsage(device, status) {
         try {
-            this.doStatusQuery('short');
-            // check wheter to do the long interval
-            this.actStatusQryForInfo++;
-            if (this.actStatusQryForInfo >= this.numStatusQryForInfo) {
-                this.actStatusQryForInfo = 0;
-                this.doStatusQuery('long');
+            device.usage.update(status);
+            for (const [id, value] of Object.entries(device.usage.values())) {
+                if (id.startsWith('inputTime.') && !device.usageInputs.has(id)) {
+                    device.usageInputs.add(id);
+                    const code = id.substring('inputTime.'.length);
+                    await this.setObjectNotExistsAsync(`${device.prefix}statistics.${id}`, {
+                        type: 'state',
+                        common: {
+                            role: 'value',
+                            name: {
+                                en: `On time with input ${code}`,
+                                de: `Einschaltdauer mit Eingang ${code}`,
+                                ru: `Время работы со входом ${code}`,
+                                pt: `Tempo ligado com a entrada ${code}`,
+                                nl: `Aan-tijd met ingang ${code}`,
+                                fr: `Durée de fonctionnement avec l'entrée ${code}`,
+                                it: `Tempo di accensione con l'ingresso ${code}`,
+                                es: `Tiempo encendido con la entrada ${code}`,
+                                pl: `Czas pracy z wejściem ${code}`,
+                                uk: `Час роботи з входом ${code}`,
+                                'zh-cn': `输入 ${code} 的开机时间`,
+                            },
+                            type: 'number',
+                            unit: 'h',
+                            min: 0,
+                            read: true,
+                            write: false,
+                            def: 0,
+                        },
+                        native: {},
+                    });
+                }
+                this.setStateChanged(`${device.prefix}statistics.${id}`, value, true);
             }
         } catch (err) {
-            this.errorHandler(err, 'getProjectorStatus');
+            this.errorHandler(err, 'updateUsage');
         }
     }
 
     /**
-     * Called to turn the projector on or off depemding on its actual state
+     * Called to load the error log of a projector from the state
+     *
+     * @param {object} device the projector
+     * @returns {Promise<Array<any>>} the entries of the error log
      */
-    async projectorOnOff() {
-        try {
-            this.log.info(`PJLink power button pressed`);
-            // first get the projector status
-            const state = (await this.getStateAsync('powerStatus')) || { val: 0 };
-            const powerStatus = state.val || 0;
+    async loadErrorLog(device) {
+        if (!device.errorLog) {
+            const state = await this.getStateAsync(`${device.prefix}deviceInfo.errorLog`);
+            try {
+                device.errorLog = state && state.val ? JSON.parse(String(state.val)) : [];
+            } catch {
+                this.log.warn(`PJLink (${device.name}) deviceInfo.errorLog is no valid JSON, starting a new log`);
+            }
+            if (!Array.isArray(device.errorLog)) {
+                device.errorLog = [];
+            }
+        }
+        return device.errorLog;
+    }
 
-            // reset power button status. Set as confirmed by hardware (ack = true)
-            this.setState('power', false, true);
+    /**
+     * Called to write the error log, the summary and the number of unacknowledged errors
+     *
+     * @param {object} device the projector
+     */
+    writeErrorLog(device) {
+        this.setState(`${device.prefix}deviceInfo.errorLog`, JSON.stringify(device.errorLog), true);
+        this.setStateChanged(`${device.prefix}deviceInfo.errorSummary`, errorlog.summary(device.errorLog), true);
+        this.setStateChanged(
+            `${device.prefix}deviceInfo.unacknowledgedErrors`,
+            errorlog.unacknowledged(device.errorLog),
+            true,
+        );
+    }
 
-            if (powerStatus === 0) {
-                this.log.info(`PJLink Projector is currently off. Trying to switch projector on`);
-                this.projector.powerOn();
-                this.skippedShortCycles = this.config.skippedCyclesAfterPowerOn;
-                this.log.debug(`PJLink now skipping ${this.skippedShortCycles} times the 'short' query cycle`);
-                return;
-            }
-            if (powerStatus === 1) {
-                this.log.info(`PJLink Projector is currently on. Trying to switch projector off`);
-                this.projector.powerOff();
-                return;
+    /**
+     * Called with the error status (ERST) to log the start and the end of the errors and to count them
+     *
+     * @param {object} device the projector
+     * @param {Record<string, number>} status the status of each category (0: ok, 1: warning, 3: error)
+     */
+    async updateErrorLog(device, status) {
+        try {
+            // write the summary at least once after the start
+            const first = device.errorLog === null;
+            const log = await this.loadErrorLog(device);
+            const result = errorlog.update(log, status, this.config.errorLogSize || 100);
+            for (const entry of result.raised) {
+                this.log.warn(`PJLink (${device.name}) projector reports ${entry.category} ${entry.severity}`);
+                const counter = await this.getStateAsync(`${device.prefix}deviceInfo.errorCounters.${entry.category}`);
+                this.setState(
+                    `${device.prefix}deviceInfo.errorCounters.${entry.category}`,
+                    (counter ? Number(counter.val) || 0 : 0) + 1,
+                    true,
+                );
             }
-            // return if cooling or warming up
-            if (powerStatus === 2) {
-                this.log.info(`PJLink Projector is currently cooling down. Refuse to switch power`);
-                return;
+            for (const entry of result.cleared) {
+                this.log.info(
+                    `PJLink (${device.name}) ${entry.category} ${entry.severity} cleared after ${entry.duration} s`,
+                );
             }
-            if (powerStatus === 3) {
-                this.log.info(`PJLink Projector is currently warming up. Refuse to switch power`);
-                return;
+            if (result.raised.length || result.cleared.length || first) {
+                this.writeErrorLog(device);
             }
         } catch (err) {
-            this.errorHandler(err, 'projectorOnOff');
+            this.errorHandler(err, 'updateErrorLog');
         }
     }
 
     /**
-     * Called to set the mute status
+     * Called by the acknowledge state to confirm all errors in the log
      *
-     * @param {number} status the mute status to set
+     * @param {object} device the projector
      */
-    async setMute(status) {
+    async acknowledgeErrors(device) {
         try {
-            this.log.info(`PJLink mute status changed to: ${status}`);
-            this.projector.setMute(status, this.pjlinkAnswerHandler.bind(this, 'ERROR'));
+            const count = errorlog.acknowledge(await this.loadErrorLog(device));
+            this.log.info(`PJLink (${device.name}) ${count} error(s) acknowledged`);
+            this.writeErrorLog(device);
         } catch (err) {
-            this.errorHandler(err, 'setMute');
+            this.errorHandler(err, 'acknowledgeErrors');
+        }
+    }
+
+    /**
+     * Called to execute a PJLink function and pass the result or the error to the answer handler
+     *
+     * @param {object} device the projector
+     * @param {string} method name of the PJLink function, e.g. 'getPowerState'
+     * @param {string} command command for the answer handler to separate the value handling
+     * @param {...any} args arguments for the PJLink function
+     * @returns {Promise<Error | null>} the error of the PJLink function, null if successful
+     */
+    async pjlinkCall(device, method, command, ...args) {
+        let value;
+        try {
+            value = await device.projector[method](...args);
+        } catch (err) {
+            await this.pjlinkAnswerHandler(device, command, err);
+            return err;
         }
+        await this.pjlinkAnswerHandler(device, command, null, value);
+        return null;
     }
 
     /**
      * Called as answer function from pjlink functions
      *
+     * @param {object} device the projector which has sent the answer
      * @param {string} command called commands from PJLink to separate the value handling
      * @param {any} pjlinkValues normaly the err and the state from the PJLink function call
      */
-    async pjlinkAnswerHandler(command, ...pjlinkValues) {
+    async pjlinkAnswerHandler(device, command, ...pjlinkValues) {
         try {
             // first look at the error state
             const error = pjlinkValues[0];
+            const prefix = device.prefix;
             let state;
 
             if (error) {
+                // disconnect() in onUnload rejects all pending commands
+                if (this.unloading) {
+                    this.log.debug(
+                        `pjlinkAnswerHandler (${device.name}, command: ${command}), stopped: ${error.message}`,
+                    );
+                    return;
+                }
                 switch (error.message) {
                     case 'Unavailable time':
-                        if (!this.unavailableTime) {
-                            this.unavailableTime = true;
+                        device.unavailableInCycle = true;
+                        if (!device.unavailableTime) {
+                            device.unavailableTime = true;
                             this.log.warn(
-                                `pjlinkAnswerHandler (command: ${command}), Projector is actualy unavailable. This is only logged once`,
+                                `pjlinkAnswerHandler (${device.name}, command: ${command}), Projector is actualy unavailable. This is only logged once`,
                             );
                         }
                         break;
@@ -371,54 +2113,59 @@ class Pjlink extends utils.Adapter {
                     case 'Authorization failed':
                     case 'Command reply mismatch':
                     case 'Not connected':
-                        this.unavailableTime = false;
+                        device.unavailableTime = false;
                         this.log.error(
-                            `pjlinkAnswerHandler (command: ${command}), Projector send error: ${error.message}`,
+                            `pjlinkAnswerHandler (${device.name}, command: ${command}), Projector send error: ${error.message}`,
                         );
                         break;
 
                     case 'Projector/Display failure':
                     default:
-                        this.unavailableTime = true;
-                        this.errorHandler(error, `pjlinkAnswerHandler (command: ${command})`);
-                        // reset connection state
-                        this.setState('info.connection', false, true);
-                        // stop/restart timers
-                        clearInterval(this.timers.statusDelay);
-                        if (!this.timers.reconnectDelay) {
-                            // Start reconnection only once
-                            this.timers.reconnectDelay = setInterval(
-                                this.reconnectProjector.bind(this),
-                                this.config.reconnectDelay,
+                        device.unavailableTime = true;
+                        // while the projector is not reachable only the first failure is worth an error
+                        if (device.connectionErrorLogged) {
+                            this.log.debug(
+                                `pjlinkAnswerHandler (${device.name}, command: ${command}), connection failed again: ${error.message}`,
                             );
+                        } else {
+                            this.errorHandler(error, `pjlinkAnswerHandler (${device.name}, command: ${command})`);
+                            device.connectionErrorLogged = true;
                         }
+                        this.connectionLost(device);
                 }
                 return;
             }
 
             if (pjlinkValues.length > 1) {
                 state = pjlinkValues[1];
-                this.log.debug(`PJLink got answer from command: '${command}', value '${JSON.stringify(state)}'`);
+                this.log.debug(
+                    `PJLink (${device.name}) got answer from command: '${command}', value '${JSON.stringify(state)}'`,
+                );
 
                 // reset unavailable time
-                this.unavailableTime = false;
+                device.unavailableTime = false;
 
                 // only if the reconnect timer is not cleared, this means, that the connection has been freshley established
-                if (this.timers.reconnectDelay) {
-                    this.log.info(`PJLink established connection to the projector`);
+                if (device.timers.reconnectDelay) {
+                    this.log.info(`PJLink (${device.name}) established connection to the projector`);
+                    device.connectionErrorLogged = false;
 
                     // get the status info on startup
-                    this.doStatusQuery('startup');
+                    this.doStatusQuery(device, 'startup');
 
                     // clear the reconnect mechanism
-                    this.clearInterval(this.timers.reconnectDelay);
-                    this.timers.reconnectDelay = undefined;
+                    this.clearInterval(device.timers.reconnectDelay);
+                    device.timers.reconnectDelay = undefined;
 
                     // start timer for status and information update
-                    this.timers.statusDelay = setInterval(this.getProjectorStatus.bind(this), this.config.statusDelay);
+                    device.lastInformationQuery = Date.now();
+                    this.scheduleStatusQuery(device);
 
                     // set connection state
-                    this.setState('info.connection', true, true);
+                    this.setConnectionState(device, true);
+
+                    // tell the projector where to send the status notifications
+                    this.registerStatusNotification(device);
                 }
 
                 // now parse the return values
@@ -430,30 +2177,63 @@ class Pjlink extends utils.Adapter {
                 let other = 0;
                 switch (command) {
                     case 'ERROR':
-                        // only for error handling in callback.
+                        // only for error handling in callback. A command was accepted, so show its result soon
+                        this.burstStatusQuery(device);
                         break;
 
                     case 'GETPOWERSTATE':
-                        this.setState('powerStatus', parseInt(state), true);
+                        this.setState(`${prefix}powerStatus`, parseInt(state), true);
+                        if (device.powerStatus !== parseInt(state)) {
+                            device.powerStatus = parseInt(state);
+                            // the poll interval depends on the power status
+                            if (device.timers.statusDelay) {
+                                this.scheduleStatusQuery(device);
+                            }
+                            // the auto off rule starts again with the next mute and signal status
+                            device.idle = { muted: false, noSignal: false };
+                            device.idleSince = 0;
+                            if (device.powerStatus === 0 && device.sleepUntil) {
+                                this.log.info(`PJLink (${device.name}) projector is off, sleep timer stopped`);
+                                this.setSleepTimer(device, 0);
+                            }
+                        }
+                        this.updateUsage(device, { power: device.powerStatus });
+                        if (device.powerStatus === 0 || device.powerStatus === 1) {
+                            if (device.pendingPower !== null) {
+                                // the projector reached a stable state, now execute the deferred power command
+                                this.setPowerTarget(device, device.pendingPower);
+                            } else {
+                                this.setStateChanged(`${prefix}powerTarget`, device.powerStatus === 1, true);
+                            }
+                        }
                         if (state == '1') {
-                            this.poweredOn = true;
-                            if (this.skippedShortCycles != -1) {
-                                this.skippedShortCycles = this.config.skippedCyclesAfterPowerOn;
+                            device.poweredOn = true;
+                            if (device.skippedShortCycles != -1) {
+                                device.skippedShortCycles = this.config.skippedCyclesAfterPowerOn;
                             }
                         } else {
-                            this.poweredOn = false;
-                            this.skippedShortCycles = 0; // reset expired
+                            device.poweredOn = false;
+                            device.skippedShortCycles = 0; // reset expired
                         }
                         break;
 
                     case 'GETINPUT':
-                        this.setState('input', parseInt(state.code), true);
+                        // numeric codes stay numbers for existing scripts, class 2 codes like '3B' are strings
+                        this.setState(
+                            `${prefix}input`,
+                            /^\d+$/.test(state.code) ? parseInt(state.code) : state.code,
+                            true,
+                        );
+                        this.setStateChanged(`${prefix}inputName`, this.getInputName(device, state.code), true);
+                        this.updateUsage(device, { input: state.code });
                         break;
 
                     case 'GETMUTE':
-                        this.setState('videoMuteStatus', state.video, true);
-                        this.setState('audioMuteStatus', state.audio, true);
-                        this.setState('setMute', state.status, true); // new extended mute status
+                        this.setState(`${prefix}videoMuteStatus`, state.video, true);
+                        this.setState(`${prefix}audioMuteStatus`, state.audio, true);
+                        this.setState(`${prefix}setMute`, state.status, true); // new extended mute status
+                        this.updateUsage(device, { muted: state.video || state.audio });
+                        this.setIdle(device, 'muted', !!state.video);
                         break;
 
                     case 'GETERRORS':
@@ -465,25 +2245,27 @@ class Pjlink extends utils.Adapter {
                             filter = state.filter === 'warning' ? 1 : state.filter === 'error' ? 3 : 0;
                             other = state.other === 'warning' ? 1 : state.other === 'error' ? 3 : 0;
                         }
-                        this.setState('deviceInfo.fanErrorStatus', fan, true);
-                        this.setState('deviceInfo.lampErrorStatus', lamp, true);
-                        this.setState('deviceInfo.temperatureErrorStatus', temperature, true);
-                        this.setState('deviceInfo.coverOpenStatus', cover, true);
-                        this.setState('deviceInfo.filterErrorStatus', filter, true);
-                        this.setState('deviceInfo.otherErrorStatus', other, true);
+                        this.setState(`${prefix}deviceInfo.fanErrorStatus`, fan, true);
+                        this.setState(`${prefix}deviceInfo.lampErrorStatus`, lamp, true);
+                        this.setState(`${prefix}deviceInfo.temperatureErrorStatus`, temperature, true);
+                        this.setState(`${prefix}deviceInfo.coverOpenStatus`, cover, true);
+                        this.setState(`${prefix}deviceInfo.filterErrorStatus`, filter, true);
+                        this.setState(`${prefix}deviceInfo.otherErrorStatus`, other, true);
+                        await this.updateErrorLog(device, { fan, lamp, temperature, cover, filter, other });
                         break;
 
                     case 'GETLAMPS':
                         this.setState(
-                            'deviceInfo.lamps.lamp1Status',
+                            `${prefix}deviceInfo.lamps.lamp1Status`,
                             parseInt(state[0].on === false ? '0' : '1'),
                             true,
                         );
-                        this.setState('deviceInfo.lamps.lamp1Hours', parseInt(state[0].hours), true);
+                        this.setState(`${prefix}deviceInfo.lamps.lamp1Hours`, parseInt(state[0].hours), true);
+                        await this.updateLifetime(device, 'lamp1', parseInt(state[0].hours));
 
                         for (let lamps = 1; lamps < state.length; lamps++) {
                             const index = lamps + 1;
-                            await this.setObjectNotExistsAsync(`deviceInfo.lamps.lamp${index}Status`, {
+                            await this.setObjectNotExistsAsync(`${prefix}deviceInfo.lamps.lamp${index}Status`, {
                                 type: 'state',
                                 common: {
                                     role: 'indicator.maintenance',
@@ -511,7 +2293,7 @@ class Pjlink extends utils.Adapter {
                                 },
                                 native: {},
                             });
-                            await this.setObjectNotExistsAsync(`deviceInfo.lamps.lamp${index}Hours`, {
+                            await this.setObjectNotExistsAsync(`${prefix}deviceInfo.lamps.lamp${index}Hours`, {
                                 _id: 'deviceInfo.lamps.lamp1Hours',
                                 type: 'state',
                                 common: {
@@ -539,36 +2321,61 @@ class Pjlink extends utils.Adapter {
                                 native: {},
                             });
                             this.setState(
-                                `deviceInfo.lamps.lamp${index}Status`,
+                                `${prefix}deviceInfo.lamps.lamp${index}Status`,
                                 parseInt(state[lamps].on === false ? '0' : '1'),
                                 true,
                             );
-                            this.setState(`deviceInfo.lamps.lamp${index}Hours`, parseInt(state[lamps].hours), true);
+                            this.setState(
+                                `${prefix}deviceInfo.lamps.lamp${index}Hours`,
+                                parseInt(state[lamps].hours),
+                                true,
+                            );
+                            await this.createLifetimeObjects(device, index);
+                            await this.updateLifetime(device, `lamp${index}`, parseInt(state[lamps].hours));
                         }
                         break;
 
+                    case 'GETFILTER':
+                        this.setState(`${prefix}deviceInfo.filter.filterHours`, parseInt(state), true);
+                        await this.updateLifetime(device, 'filter', parseInt(state));
+                        break;
+
                     case 'GETINPUTS':
-                        this.setState('deviceInfo.inputsAvailable', JSON.stringify(state), true);
+                        this.setState(`${prefix}deviceInfo.inputsAvailable`, JSON.stringify(state), true);
+                        await this.createInputButtons(device, state);
+                        await this.createInputInfo(device, state);
                         break;
 
                     case 'GETNAME':
-                        this.setState('deviceInfo.projectorName', JSON.stringify(state), true);
+                        this.setState(`${prefix}deviceInfo.projectorName`, String(state || ''), true);
                         break;
 
                     case 'GETMANUFACTURER':
-                        this.setState('deviceInfo.projectorManufacturer', JSON.stringify(state), true);
+                        this.setState(`${prefix}deviceInfo.projectorManufacturer`, String(state || ''), true);
                         break;
 
                     case 'GETMODEL':
-                        this.setState('deviceInfo.productName', JSON.stringify(state), true);
+                        this.setState(`${prefix}deviceInfo.productName`, String(state || ''), true);
                         break;
 
                     case 'GETINFO':
-                        this.setState('deviceInfo.otherInfo', JSON.stringify(state), true);
+                        this.setState(`${prefix}deviceInfo.otherInfo`, String(state || ''), true);
                         break;
 
                     case 'GETCLASS':
-                        this.setState('deviceInfo.class', parseInt(state), true);
+                        this.setState(`${prefix}deviceInfo.class`, parseInt(state), true);
+                        if (parseInt(state) > 1) {
+                            await this.createClass2States(device);
+                        }
+                        break;
+
+                    case 'GETFREEZE':
+                        this.setState(`${prefix}freeze`, !!state, true);
+                        break;
+
+                    case 'GETINPUTRESOLUTION':
+                    case 'GETRECOMMENDEDRESOLUTION':
+                        this.updateSignal(device, command === 'GETINPUTRESOLUTION' ? 'input' : 'recommended', state);
                         break;
 
                     default:
@@ -597,12 +2404,24 @@ class Pjlink extends utils.Adapter {
      */
     onUnload(callback) {
         try {
-            // End the PJLink connection
-            this.projector.disconnect();
-
-            // Here you must clear all timeouts or intervals that may still be active
-            clearInterval(this.timers.statusDelay);
-            clearInterval(this.timers.reconnectDelay);
+            this.unloading = true;
+            for (const device of this.devices) {
+                // End the PJLink connection
+                device.projector.disconnect();
+
+                // Here you must clear all timeouts or intervals that may still be active
+                clearTimeout(device.timers.statusDelay);
+                device.timers.statusDelay = undefined;
+                clearInterval(device.timers.reconnectDelay);
+
+                if (device.prefix) {
+                    this.setState(`${device.prefix}info.connection`, false, true);
+                }
+            }
+            clearInterval(this.scheduleTimer);
+            if (this.udp) {
+                this.udp.close();
+            }
 
             // Reset the connection indicator
             this.setState('info.connection', false, true);
@@ -632,20 +2451,67 @@ class Pjlink extends utils.Adapter {
                 if (!state.ack) {
                     // only if the state is set manually
                     const onlyId = id.replace(`${this.namespace}.`, '');
-                    switch (onlyId) {
+                    const device = this.findDeviceByStateId(onlyId);
+                    if (!device) {
+                        const example = this.devices.length ? `${this.devices[0].name}.${onlyId}` : onlyId;
+                        this.log.warn(
+                            `PJLink state ${onlyId} is not used with the projectors of the devices table, use e.g. ${example}`,
+                        );
+                        return;
+                    }
+                    switch (onlyId.substring(device.prefix.length)) {
                         case 'power':
-                            this.projectorOnOff();
+                            this.projectorOnOff(device);
+                            break;
+                        case 'powerOn':
+                        case 'powerOff':
+                            // reset the button. Set as confirmed by hardware (ack = true)
+                            this.setState(onlyId, false, true);
+                            this.setPowerTarget(device, onlyId.endsWith('powerOn'));
+                            break;
+                        case 'powerTarget':
+                            this.setPowerTarget(device, !!state.val);
                             break;
                         case 'input':
                             // the string value is parsed by the pjlink.inputCommand.
                             // For the future and Class 2 it is the preferred format because of e.g. input 3B
                             // @ts-expect-error state.val can be null but isnt
-                            this.projector.setInput(state.val.toString());
+                            this.pjlinkCall(device, 'setInput', 'ERROR', state.val.toString());
                             break;
                         case 'setMute':
                             // @ts-expect-error state.val is surely a int at this point
-                            this.setMute(parseInt(state.val));
+                            this.setMute(device, parseInt(state.val));
+                            break;
+                        case 'acknowledge':
+                            this.setState(onlyId, false, true);
+                            this.acknowledgeErrors(device);
+                            break;
+                        case 'sleepTimer':
+                            this.setSleepTimer(device, Number(state.val));
                             break;
+                        case 'rawCommand':
+                            this.setRawCommand(device, String(state.val));
+                            break;
+                        case 'inputName':
+                            this.setInputByName(device, String(state.val));
+                            break;
+                        case 'volume.speakerUp':
+                        case 'volume.speakerDown':
+                        case 'volume.micUp':
+                        case 'volume.micDown':
+                            // reset the button. Set as confirmed by hardware (ack = true)
+                            this.setState(onlyId, false, true);
+                            this.setVolume(device, onlyId.substring(onlyId.lastIndexOf('.') + 1));
+                            break;
+                        case 'freeze':
+                            this.pjlinkCall(device, 'setFreeze', 'ERROR', !!state.val);
+                            break;
+                        default:
+                            // one button per input: inputs.<code>
+                            if (onlyId.startsWith(`${device.prefix}inputs.`) && state.val) {
+                                this.setState(onlyId, false, true);
+                                this.pjlinkCall(device, 'setInput', 'ERROR', onlyId.split('.').pop());
+                            }
                     }
                 }
             }
@@ -662,17 +2528,77 @@ class Pjlink extends utils.Adapter {
      */
     async onMessage(obj) {
         if (typeof obj === 'object') {
+            // optional name of the projector in multi projector mode
+            const message = typeof obj.message === 'object' && obj.message ? obj.message : {};
+            if (obj.command === 'discover') {
+                this.log.debug(`discover command gets: ${JSON.stringify(obj)}`);
+                let result;
+                try {
+                    // the host selection takes the result of the last search, the search button always searches
+                    const projectors =
+                        message.format === 'select' && this.discoveredProjectors
+                            ? this.discoveredProjectors
+                            : await this.discoverProjectors(message.timeout || this.config.discoveryTimeout || 3000);
+                    if (message.format === 'select') {
+                        // format for a selectSendTo
+                        result = projectors.map(item => ({
+                            label: `${item.address} (${item.mac})`,
+                            value: item.address,
+                        }));
+                    } else {
+                        // format for a sendTo with useNative
+                        result = { native: { discoveredProjectors: projectors } };
+                    }
+                } catch (err) {
+                    this.errorHandler(err, 'onMessage (discover)');
+                    result = { error: err.message };
+                }
+                if (obj.callback) {
+                    this.sendTo(obj.from, obj.command, result, obj.callback);
+                }
+            }
+            if (apiCommands.includes(obj.command)) {
+                this.log.debug(`${obj.command} command gets: ${JSON.stringify(obj)}`);
+                const device = this.findDeviceByName(message.device);
+                let result;
+                try {
+                    result = device
+                        ? await this.executeApi(device, obj.command, message)
+                        : { error: `Unknown projector '${message.device}'` };
+                } catch (err) {
+                    this.errorHandler(err, `onMessage (${obj.command})`);
+                    result = { error: err.message };
+                }
+                if (obj.callback) {
+                    this.sendTo(obj.from, obj.command, result, obj.callback);
+                }
+            }
+            if (obj.command === 'sendRaw') {
+                this.log.debug(`sendRaw command gets: ${JSON.stringify(obj)}`);
+                const device = this.findDeviceByName(message.device);
+                const result = device
+                    ? await this.sendRaw(device, message.cmd, message.args, message.class)
+                    : { error: `Unknown projector '${message.device}'` };
+                if (obj.callback) {
+                    this.sendTo(obj.from, obj.command, result, obj.callback);
+                }
+            }
             if (obj.command === 'updateInputs') {
                 this.log.debug(`updateInputs command gets: ${JSON.stringify(obj)}`);
-                const state = (await this.getStateAsync('deviceInfo.inputsAvailable')) || { val: '' };
+                const device = this.findDeviceByName(message.device);
+                const state = (device && (await this.getStateAsync(`${device.prefix}deviceInfo.inputsAvailable`))) || {
+                    val: '',
+                };
                 const inputsAvailable = state.val || '';
                 this.log.info(
                     `Set the following inputs in the native object "system.adapter.${this.namespace}": ${JSON.stringify(inputsAvailable)}`,
                 );
                 const instanceObject = await this.getForeignObjectAsync(`system.adapter.${this.namespace}`);
                 try {
+                    const inputs = JSON.parse(inputsAvailable);
+                    await this.discoverInputNames(device, inputs);
                     // @ts-expect-error expression works at this point
-                    instanceObject.native.inputInfo = JSON.parse(inputsAvailable);
+                    instanceObject.native.inputInfo = inputs;
                 } catch (err) {
                     this.errorHandler(err, 'onMessage (parse inputsAvailable)');
                 }
@@ -683,9 +2609,13 @@ class Pjlink extends utils.Adapter {
                 }
             }
             if (obj.command === 'setInstanceInputs') {
-                if (obj.command === 'setInstanceInputs') {
-                    this.log.debug(`setInstanceInputs command gets: ${JSON.stringify(obj)}`);
-                    const inputObj = await this.getObjectAsync('input');
+                this.log.debug(`setInstanceInputs command gets: ${JSON.stringify(obj)}`);
+                // the edited inputs are set to all projectors or only to the given one
+                for (const device of this.devices) {
+                    if (message.device && message.device !== device.name) {
+                        continue;
+                    }
+                    const inputObj = await this.getObjectAsync(`${device.prefix}input`);
                     // @ts-expect-error expression works at this point
                     if (inputObj.common.min) {
                         // @ts-expect-error expression works at this point
@@ -708,37 +2638,38 @@ class Pjlink extends utils.Adapter {
                     }
                     this.log.info(
                         // @ts-expect-error expression works at this point
-                        `setInstanceInputs command sets inputs common to: ${JSON.stringify(inputObj.common)}`,
+                        `setInstanceInputs command sets inputs common of ${device.prefix}input to: ${JSON.stringify(inputObj.common)}`,
                     );
                     // @ts-expect-error expression works at this point
-                    await this.setObjectAsync('input', inputObj);
-                    if (obj.callback) {
-                        this.sendTo(obj.from, obj.command, 'done', obj.callback);
-                    }
+                    await this.setObjectAsync(`${device.prefix}input`, inputObj);
+                }
+                if (obj.callback) {
+                    this.sendTo(obj.from, obj.command, 'done', obj.callback);
                 }
             }
             if (obj.command === 'resetInstanceInputs') {
-                if (obj.command === 'resetInstanceInputs') {
-                    this.log.debug(`resetInstanceInputs command gets: ${JSON.stringify(obj)}`);
-                    const inputObj = await this.getObjectAsync('input');
+                this.log.debug(`resetInstanceInputs command gets: ${JSON.stringify(obj)}`);
+                for (const device of this.devices) {
+                    if (message.device && message.device !== device.name) {
+                        continue;
+                    }
+                    const inputObj = await this.getObjectAsync(`${device.prefix}input`);
                     // @ts-expect-error expression works at this point
                     if (inputObj.common.states) {
                         // @ts-expect-error expression works at this point
                         delete inputObj.common.states;
                     }
                     // @ts-expect-error expression works at this point
-                    inputObj.common.min = 11;
-                    // @ts-expect-error expression works at this point
-                    inputObj.common.max = 59;
+                    inputObj.common.type = 'mixed';
                     this.log.info(
                         // @ts-expect-error expression works at this point
-                        `resetInstanceInputs command sets inputs common to: ${JSON.stringify(inputObj.common)}`,
+                        `resetInstanceInputs command sets inputs common of ${device.prefix}input to: ${JSON.stringify(inputObj.common)}`,
                     );
                     // @ts-expect-error expression works at this point
-                    this.setObject('input', inputObj);
-                    if (obj.callback) {
-                        this.sendTo(obj.from, obj.command, 'done', obj.callback);
-                    }
+                    await this.setObjectAsync(`${device.prefix}input`, inputObj);
+                }
+                if (obj.callback) {
+                    this.sendTo(obj.from, obj.command, 'done', obj.callback);
                 }
             }
         }
@@ -1,30 +1,663 @@
 'use strict';
 
 /**
- * This is a dummy TypeScript test file using chai and mocha
+ * Tests of the adapter against the PJLink simulator
  *
- * It's automatically excluded from npm and its build output is excluded from both git and npm.
- * It is advised to test all your modules with accompanying *.test.js-files
+ * The adapter runs with an in-memory replacement of @iobroker/adapter-core (test/fakeAdapterCore.js)
  */
 
-// tslint:disable:no-unused-expression
-
 const { expect } = require('chai');
-// import { functionToTest } from "./moduleToTest";
+const proxyquire = require('proxyquire').noCallThru();
+const fakeAdapterCore = require('./test/fakeAdapterCore');
+const pjlinksim = require('./lib/pjlinksim');
+
+const createAdapter = proxyquire('./main.js', { '@iobroker/adapter-core': fakeAdapterCore });
+
+/**
+ * wait until a condition is true
+ *
+ * @param {() => boolean} condition the condition
+ * @param {number} timeout time in ms to wait at most
+ */
+async function waitFor(condition, timeout = 3000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) {
+            throw new Error(`condition not met within ${timeout} ms: ${condition.toString()}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+describe('adapter => pjlink', function () {
+    this.timeout(10000);
+    let sims = [];
+    let adapter;
 
-describe('module to test => function to test', () => {
-    // initializing logic
-    const expected = 5;
+    /**
+     * start the adapter with the given configuration
+     *
+     * @param {object} config the configuration, merged with the defaults from io-package.json
+     */
+    function startAdapter(config) {
+        createAdapter({
+            config: Object.assign(
+                {
+                    statusDelay: 100,
+                    informationDelay: 300,
+                    statusDelayOff: 0,
+                    statusDelayWarmup: 0,
+                    statusDelayCooling: 0,
+                    reconnectDelay: 200,
+                    socketTimeout: 200,
+                },
+                config,
+            ),
+        });
+        adapter = fakeAdapterCore.Adapter.instances.pop();
+    }
 
-    it(`should return ${expected}`, () => {
-        const result = 5;
-        // assign result a value from functionToTest
-        expect(result).to.equal(expected);
-        // or using the should() syntax
-        result.should.equal(expected);
+    /**
+     * start a simulator
+     *
+     * @param {object} options the options of the simulator
+     * @returns {Promise<object>} the simulator
+     */
+    async function startSim(options = {}) {
+        const sim = new pjlinksim(Object.assign({ port: 0 }, options));
+        await sim.start();
+        sims.push(sim);
+        return sim;
+    }
+
+    afterEach(async () => {
+        if (adapter) {
+            await adapter.stop();
+            adapter = undefined;
+        }
+        for (const sim of sims) {
+            await sim.stop();
+        }
+        sims = [];
     });
-    // ... more tests => it
 
-});
+    it('should connect and fill the states of a single projector', async () => {
+        const sim = await startSim({ password: 'secret', state: { power: 1, errors: '100000' } });
+        startAdapter({ host: '127.0.0.1', port: sim.port, password: 'secret' });
+
+        await waitFor(() => adapter.val('info.connection') === true);
+        await waitFor(() => adapter.val('deviceInfo.productName') !== undefined);
+        await waitFor(() => adapter.val('input') !== undefined);
+        expect(adapter.val('powerStatus')).to.equal(1);
+        expect(adapter.val('input')).to.equal(31);
+        expect(adapter.val('info.authMethod')).to.equal('MD5');
+        expect(adapter.val('deviceInfo.productName')).to.equal('PJLink simulator');
+        await waitFor(() => adapter.val('deviceInfo.fanErrorStatus') !== undefined);
+        expect(adapter.val('deviceInfo.fanErrorStatus')).to.equal(1);
+        await waitFor(() => adapter.val('deviceInfo.inputs.51.channel') !== undefined);
+        expect(adapter.val('deviceInfo.projectorName')).to.equal('Simulated projector');
+        expect(adapter.val('deviceInfo.inputs.32.name')).to.equal('DIGITAL - 2');
+        expect(adapter.val('deviceInfo.inputs.32.type')).to.equal('DIGITAL');
+        expect(adapter.val('deviceInfo.inputs.51.channel')).to.equal('1');
+    });
+
+    it('should switch the power and defer commands while warming up', async () => {
+        const sim = await startSim({ warmupTime: 400, cooldownTime: 100 });
+        startAdapter({ host: '127.0.0.1', port: sim.port, skippedCyclesAfterPowerOn: 0 });
+        await waitFor(() => adapter.val('powerStatus') === 0);
+
+        adapter.write('powerOn', true);
+        await waitFor(() => sim.state.power === 3);
+        await waitFor(() => adapter.val('powerStatus') === 3);
+        adapter.write('powerTarget', false);
+        await waitFor(() => sim.state.power === 0);
+        await waitFor(() => adapter.val('powerTarget') === false && adapter.states['pjlink.0.powerTarget'].ack);
+        expect(sim.received.filter(telegram => telegram.startsWith('%1POWR 0'))).to.have.length(1);
+    });
+
+    it('should poll depending on the power status and query at once after a command', async () => {
+        const sim = await startSim({ warmupTime: 300 });
+        startAdapter({
+            host: '127.0.0.1',
+            port: sim.port,
+            statusDelayOff: 5000,
+            statusDelayWarmup: 50,
+            skippedCyclesAfterPowerOn: 0,
+            burstDelay: 0,
+        });
+        await waitFor(() => adapter.val('powerStatus') === 0);
+        const queries = () => sim.received.filter(telegram => telegram.includes('POWR ?')).length;
+        const before = queries();
+        await new Promise(resolve => setTimeout(resolve, 500));
+        expect(queries()).to.equal(before);
+
+        adapter.write('powerOn', true);
+        await waitFor(() => adapter.val('powerStatus') === 3, 1000);
+        await waitFor(() => adapter.val('powerStatus') === 1, 1000);
+    });
+
+    it('should slow down the polling while the projector is unavailable', async () => {
+        const sim = await startSim({ state: { power: 1 } });
+        startAdapter({ host: '127.0.0.1', port: sim.port, statusDelay: 50, unavailableBackoffMax: 400 });
+        await waitFor(() => adapter.val('powerStatus') === 1);
+        sim.injectError('POWR', 'ERR3', 100);
+        const queries = () => sim.received.filter(telegram => telegram.includes('POWR ?')).length;
+        const before = queries();
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        // 50, 100, 200, 400, 400 ms instead of 20 queries
+        expect(queries() - before).to.be.within(3, 8);
+        expect(adapter.logs.find(item => item.message.includes('slowing down the status queries'))).to.exist;
+
+        sim.injected = [];
+        await waitFor(() => adapter.val('powerStatus') === 1 && queries() - before > 10, 2000);
+    });
+
+    it('should forecast the lamp and filter replacement', async () => {
+        const sim = await startSim({ class: 2, state: { power: 1 } });
+        startAdapter({
+            host: '127.0.0.1',
+            port: sim.port,
+            class: 2,
+            lampRatedLife: 2000,
+            filterRatedLife: 1000,
+            maintenanceThreshold: 60,
+        });
+        // the lamp burned 100 hours in the last 10 days
+        adapter.objects['pjlink.0.deviceInfo.lamps.lamp1Hours'] = {
+            type: 'state',
+            common: {},
+            native: { history: [{ ts: Date.now() - 10 * 24 * 3600000, hours: 1134 }] },
+        };
+
+        await waitFor(() => adapter.val('deviceInfo.lamps.lamp1ReplacementDate') !== undefined);
+        expect(adapter.val('deviceInfo.lamps.lamp1RemainingHours')).to.equal(766);
+        expect(adapter.val('deviceInfo.lamps.lamp1PercentUsed')).to.equal(61.7);
+        expect(adapter.val('deviceInfo.lamps.lamp1BurnRate')).to.equal(10);
+        const expected = new Date(Date.now() + 76 * 24 * 3600000).toISOString().substring(0, 10);
+        expect(adapter.val('deviceInfo.lamps.lamp1ReplacementDate')).to.equal(expected);
+        expect(adapter.val('deviceInfo.maintenanceDue')).to.be.true;
+
+        await waitFor(() => adapter.val('deviceInfo.filter.filterPercentUsed') !== undefined);
+        expect(adapter.val('deviceInfo.filter.filterHours')).to.equal(321);
+        expect(adapter.val('deviceInfo.filter.filterRemainingHours')).to.equal(679);
+        // a new sample is added to the history once a day
+        expect(adapter.objects['pjlink.0.deviceInfo.lamps.lamp1Hours'].native.history).to.have.length(2);
+    });
+
+    it('should log, count and acknowledge the projector errors', async () => {
+        const sim = await startSim({ state: { power: 1 } });
+        startAdapter({ host: '127.0.0.1', port: sim.port, queryTypeERST: 2 });
+        await waitFor(() => adapter.val('deviceInfo.errorSummary') === 'OK');
+
+        sim.state.errors = '002000';
+        await waitFor(() => adapter.val('deviceInfo.errorSummary') === 'temperature: error (1 unacknowledged)');
+        sim.state.errors = '000000';
+        await waitFor(() => adapter.val('deviceInfo.errorSummary') === 'OK (1 unacknowledged)');
+        const log = JSON.parse(adapter.val('deviceInfo.errorLog'));
+        expect(log).to.have.length(1);
+        expect(log[0]).to.include({ category: 'temperature', severity: 'error' });
+        expect(log[0].duration).to.be.a('number');
+        expect(adapter.val('deviceInfo.errorCounters.temperature')).to.equal(1);
+
+        adapter.write('acknowledge', true);
+        await waitFor(() => adapter.val('deviceInfo.unacknowledgedErrors') === 0);
+        expect(adapter.val('deviceInfo.errorSummary')).to.equal('OK');
+        expect(JSON.parse(adapter.val('deviceInfo.errorLog'))[0].acknowledged).to.be.true;
+    });
+
+    it('should restore and update the usage statistics', async () => {
+        const sim = await startSim({ warmupTime: 100 });
+        startAdapter({ host: '127.0.0.1', port: sim.port, skippedCyclesAfterPowerOn: 0 });
+        adapter.states['pjlink.0.statistics.onTimeTotal'] = { val: 10, ack: true, ts: Date.now() };
+        adapter.states['pjlink.0.statistics.onTimeToday'] = { val: 2, ack: true, ts: Date.now() - 2 * 24 * 3600000 };
+        adapter.states['pjlink.0.statistics.powerCycles'] = { val: 4, ack: true, ts: Date.now() };
+        await waitFor(() => adapter.val('powerStatus') === 0);
+        expect(adapter.val('statistics.onTimeTotal')).to.equal(10);
+        expect(adapter.val('statistics.onTimeToday')).to.equal(0);
+
+        adapter.write('powerOn', true);
+        await waitFor(() => adapter.val('statistics.powerCycles') === 5);
+        await waitFor(() => adapter.val('statistics.inputTime.31') !== undefined);
+        expect(adapter.objects['pjlink.0.statistics.inputTime.31'].common.unit).to.equal('h');
+    });
+
+    it('should switch the input by name and by the input buttons', async () => {
+        const sim = await startSim({ state: { power: 1 } });
+        startAdapter({
+            host: '127.0.0.1',
+            port: sim.port,
+            inputInfo: [{ source: 3, channel: 2, code: '32', name: 'Laptop' }],
+        });
+        await waitFor(() => adapter.val('inputName') === 'DIGITAL - 1');
+
+        adapter.write('inputName', 'laptop');
+        await waitFor(() => sim.state.input === '32');
+        adapter.write('inputName', 'RGB - 2');
+        await waitFor(() => sim.state.input === '12');
+        adapter.write('inputName', 'Beamer');
+        await new Promise(resolve => setTimeout(resolve, 100));
+        expect(adapter.logs.find(item => item.message.includes("unknown input name 'Beamer'"))).to.exist;
+
+        await waitFor(() => adapter.objects['pjlink.0.inputs.51'] !== undefined);
+        expect(adapter.objects['pjlink.0.inputs.32'].common).to.include({ name: 'Laptop', role: 'button' });
+        adapter.write('inputs.51', true);
+        await waitFor(() => sim.state.input === '51');
+        expect(adapter.val('inputs.51')).to.be.false;
+    });
+
+    it('should switch the alphanumeric class 2 inputs', async () => {
+        const sim = await startSim({ class: 2, state: { power: 1, inputs: ['31', '3B', '6A'] } });
+        startAdapter({ host: '127.0.0.1', port: sim.port, class: 2 });
+        adapter.objects['pjlink.0.input'] = {
+            type: 'state',
+            common: { type: 'number', min: 11, max: 59, role: 'media.input' },
+            native: {},
+        };
+        await waitFor(() => adapter.val('input') === 31);
+        expect(adapter.objects['pjlink.0.input'].common).to.include({ type: 'mixed' }).and.not.have.property('max');
+
+        adapter.write('input', '3b');
+        await waitFor(() => adapter.val('input') === '3B');
+        expect(sim.state.input).to.equal('3B');
+        adapter.write('inputName', 'internal a');
+        await waitFor(() => adapter.val('inputName') === 'INTERNAL - A');
+    });
+
+    it('should find the inputs by the names the projector reports and create the buttons once', async () => {
+        const sim = await startSim({ class: 2, state: { power: 1 } });
+        startAdapter({ host: '127.0.0.1', port: sim.port });
+        await waitFor(() => adapter.objects['pjlink.0.inputs.51'] !== undefined);
+
+        // the names reported by the projector are shown
+        await waitFor(() => adapter.val('deviceInfo.inputs.32.name') !== undefined);
+        expect(adapter.val('deviceInfo.inputs.32.name')).to.equal('HDMI 2');
+        expect(adapter.objects['pjlink.0.inputs.32'].common.name).to.equal('HDMI 2');
+        expect(adapter.objects['pjlink.0.inputs.51'].common.name).to.equal('LAN');
+
+        adapter.write('inputName', 'hdmi 2');
+        await waitFor(() => sim.state.input === '32');
+        await waitFor(() => adapter.val('inputName') === 'HDMI 2');
+        expect(sim.received.filter(telegram => telegram.startsWith('%2INNM ?32'))).to.have.length(1);
+
+        const extended = [];
+        const extendObjectAsync = adapter.extendObjectAsync;
+        adapter.extendObjectAsync = async (id, obj) => {
+            extended.push(id);
+            return extendObjectAsync.call(adapter, id, obj);
+        };
+        const inputs = sim.state.inputs.map(code => ({ code }));
+        await adapter.createInputButtons(adapter.devices[0], inputs);
+        expect(extended).to.deep.equal([]);
+        expect(sim.received.filter(telegram => telegram.startsWith('%2INNM ?32'))).to.have.length(1);
+
+        adapter.config.inputInfo = [{ source: 3, channel: 2, code: '32', name: 'Laptop' }];
+        await adapter.createInputButtons(adapter.devices[0], inputs);
+        expect(extended).to.deep.equal(['inputs.32']);
+        expect(adapter.objects['pjlink.0.inputs.32'].common.name).to.equal('Laptop');
+    });
+
+    it('should fill the input names with INNM or the source type', async () => {
+        const sim1 = await startSim({ class: 2, state: { power: 1, inputNames: { 11: 'VGA', 31: ' ' } } });
+        const sim2 = await startSim({ state: { power: 1 } });
+        startAdapter({
+            devices: [
+                // the class is taken from the answer of the projector
+                { name: 'room1', host: '127.0.0.1', port: sim1.port },
+                { name: 'room2', host: '127.0.0.1', port: sim2.port },
+            ],
+        });
+        await waitFor(
+            () => adapter.val('room1.deviceInfo.inputsAvailable') && adapter.val('room2.deviceInfo.inputsAvailable'),
+        );
+        await waitFor(() => adapter.val('info.connection') === true);
+        await waitFor(() => adapter.objects['pjlink.0.room1.freeze'] !== undefined);
+
+        await adapter.message('updateInputs', { device: 'room1' });
+        let inputInfo = adapter.objects['system.adapter.pjlink.0'].native.inputInfo;
+        expect(inputInfo.map(input => input.name)).to.deep.equal([
+            'VGA',
+            'RGB - 2',
+            'DIGITAL - 1',
+            'DIGITAL - 2',
+            'NETWORK - 1',
+        ]);
+
+        await adapter.message('updateInputs', { device: 'room2' });
+        inputInfo = adapter.objects['system.adapter.pjlink.0'].native.inputInfo;
+        expect(inputInfo[3]).to.include({ code: '32', name: 'DIGITAL - 2' });
+        expect(sim2.received.find(telegram => telegram.includes('INNM'))).to.be.undefined;
+    });
+
+    it('should create the volume and freeze states for class 2 projectors only', async () => {
+        const sim1 = await startSim({ class: 2, state: { power: 1 } });
+        const sim2 = await startSim({ state: { power: 1 } });
+        startAdapter({
+            devices: [
+                { name: 'room1', host: '127.0.0.1', port: sim1.port },
+                { name: 'room2', host: '127.0.0.1', port: sim2.port },
+            ],
+        });
+        await waitFor(() => adapter.val('room1.freeze') === false && adapter.val('room2.deviceInfo.class') === 1);
+        expect(adapter.objects['pjlink.0.room1.volume.speakerUp'].common.role).to.equal('button');
+        expect(adapter.objects['pjlink.0.room2.volume.speakerUp']).to.be.undefined;
+        expect(adapter.objects['pjlink.0.room2.freeze']).to.be.undefined;
+        const answer = await adapter.message('getStatus', { device: 'room1' });
+        expect(answer.result).to.include({ freeze: false });
+        expect(answer.result).to.not.have.property('volume.speakerUp');
+
+        adapter.write('room1.volume.speakerUp', true);
+        await waitFor(() => sim1.state.speakerVolume === 11);
+        expect(adapter.val('room1.volume.speakerUp')).to.be.false;
+        adapter.write('room1.volume.micDown', true);
+        await waitFor(() => sim1.state.microphoneVolume === 4);
+
+        adapter.write('room1.freeze', true);
+        await waitFor(() => sim1.state.freeze === '1' && adapter.val('room1.freeze') === true);
+    });
 
-// ... more test suites => describe
+    it('should monitor the input signal of class 2 projectors', async () => {
+        const sim = await startSim({ class: 2, state: { power: 1, inputResolution: '1280x800' } });
+        startAdapter({ host: '127.0.0.1', port: sim.port });
+        await waitFor(() => adapter.val('signal.recommendedResolution') !== undefined);
+        await waitFor(() => adapter.val('signal.mismatch') === true);
+        expect(adapter.val('signal.inputResolution')).to.equal('1280x800');
+        expect(adapter.val('signal.recommendedResolution')).to.equal('1920x1080');
+        expect(adapter.val('signal.present')).to.be.true;
+
+        sim.state.inputResolution = '-';
+        await waitFor(() => adapter.val('signal.present') === false);
+        expect(adapter.val('signal.mismatch')).to.be.false;
+        expect(adapter.logs.some(item => item.message.includes('no signal'))).to.be.true;
+    });
+
+    it('should switch off with the sleep timer and the auto off rule', async () => {
+        const sim = await startSim({ state: { power: 1, mute: '11' }, cooldownTime: 100 });
+        startAdapter({ host: '127.0.0.1', port: sim.port, autoOffMinutes: 5 });
+        await waitFor(() => adapter.val('videoMuteStatus') === true);
+
+        adapter.write('sleepTimer', 10);
+        await waitFor(() => adapter.val('sleepTimerRemaining') === 10);
+        adapter.checkSchedules(Date.now() + 3 * 60000);
+        expect(adapter.val('sleepTimerRemaining')).to.equal(7);
+        expect(sim.state.power).to.equal(1);
+
+        // muted for more than 5 minutes
+        adapter.checkSchedules(Date.now() + 6 * 60000);
+        await waitFor(() => sim.state.power === 2);
+        await waitFor(() => adapter.val('powerStatus') === 0);
+        // the projector is off, so the sleep timer is stopped
+        expect(adapter.val('sleepTimer')).to.equal(0);
+    });
+
+    it('should switch off with the auto off rule without input signal', async () => {
+        const sim = await startSim({ class: 2, state: { power: 1, inputResolution: '1920x1080' } });
+        startAdapter({ host: '127.0.0.1', port: sim.port, autoOffMinutes: 5 });
+        await waitFor(() => adapter.val('signal.present') === true);
+        adapter.checkSchedules(Date.now() + 6 * 60000);
+        expect(sim.state.power).to.equal(1);
+
+        sim.state.inputResolution = '-';
+        await waitFor(() => adapter.val('signal.present') === false);
+        adapter.checkSchedules(Date.now() + 4 * 60000);
+        expect(sim.state.power).to.equal(1);
+
+        // the signal is back, the time starts again
+        sim.state.inputResolution = '1920x1080';
+        await waitFor(() => adapter.val('signal.present') === true);
+        adapter.checkSchedules(Date.now() + 6 * 60000);
+        expect(sim.state.power).to.equal(1);
+
+        sim.state.inputResolution = '-';
+        await waitFor(() => adapter.val('signal.present') === false);
+        adapter.checkSchedules(Date.now() + 6 * 60000);
+        await waitFor(() => sim.state.power !== 1);
+        expect(adapter.logs.some(item => item.message.includes('no input signal for 5 minutes'))).to.be.true;
+    });
+
+    it('should reset the power status and skip the schedule while the projector is not connected', async () => {
+        const sim = await startSim({ state: { power: 1 } });
+        const time = new Date(Date.now() + 2 * 60000);
+        const rule = {
+            enabled: true,
+            device: '',
+            time: `${time.getHours()}:${String(time.getMinutes()).padStart(2, '0')}`,
+            action: 'off',
+            [['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'][time.getDay()]]: true,
+        };
+        startAdapter({ host: '127.0.0.1', port: sim.port, schedules: [rule], reconnectDelay: 60000 });
+        await waitFor(() => adapter.val('powerStatus') === 1);
+        adapter.checkSchedules(Date.now());
+        adapter.write('sleepTimer', 1);
+        await waitFor(() => adapter.val('sleepTimerRemaining') === 1);
+
+        await sim.stop();
+        await waitFor(() => adapter.val('info.connection') === false);
+        expect(adapter.val('powerStatus')).to.equal(-1);
+        adapter.checkSchedules(time.getTime());
+        expect(adapter.logs.find(item => item.message.includes('not connected, schedule rule off'))).to.exist;
+        expect(adapter.logs.find(item => item.message.includes('schedule switches the projector'))).to.not.exist;
+        // the expired sleep timer waits for the connection
+        expect(adapter.logs.find(item => item.message.includes('sleep timer expired'))).to.not.exist;
+        expect(adapter.devices[0].sleepUntil).to.not.equal(0);
+    });
+
+    it('should switch the projectors with the weekly schedule', async () => {
+        const sim = await startSim({ warmupTime: 100 });
+        const time = new Date(Date.now() + 2 * 60000);
+        const rule = {
+            enabled: true,
+            device: '',
+            time: `${time.getHours()}:${String(time.getMinutes()).padStart(2, '0')}`,
+            action: 'on',
+            [['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'][time.getDay()]]: true,
+        };
+        startAdapter({ host: '127.0.0.1', port: sim.port, schedules: [rule] });
+        await waitFor(() => adapter.val('powerStatus') === 0);
+
+        adapter.checkSchedules(Date.now());
+        expect(sim.state.power).to.equal(0);
+        adapter.checkSchedules(time.getTime());
+        await waitFor(() => adapter.val('powerStatus') === 1);
+        expect(adapter.logs.find(item => item.message.includes('schedule switches the projector on'))).to.exist;
+    });
+
+    it('should send raw commands by message and by state', async () => {
+        const sim = await startSim({ class: 2, state: { power: 1 } });
+        startAdapter({ host: '127.0.0.1', port: sim.port, class: 2 });
+        await waitFor(() => adapter.val('powerStatus') === 1);
+
+        expect(await adapter.message('sendRaw', { cmd: 'INNM', args: '?32', class: 2 })).to.deep.equal({
+            result: 'HDMI 2',
+        });
+        expect(await adapter.message('sendRaw', { cmd: 'XYZW', args: '1' })).to.deep.equal({
+            error: 'Undefined command',
+            code: 'ERR1',
+        });
+        expect(await adapter.message('sendRaw', { device: 'room9', cmd: 'POWR' })).to.have.property('error');
+
+        adapter.write('rawCommand', '%1AVMT 31');
+        await waitFor(() => adapter.val('rawResponse') === '%1AVMT=OK');
+        expect(sim.state.mute).to.equal('31');
+        adapter.write('rawCommand', 'powr');
+        await waitFor(() => adapter.val('rawResponse') === '%1POWR=1');
+    });
+
+    it('should answer the commands of the sendTo API', async () => {
+        const sim = await startSim({ state: { power: 1 }, cooldownTime: 1000, warmupTime: 100 });
+        startAdapter({ host: '127.0.0.1', port: sim.port });
+        await waitFor(() => adapter.val('deviceInfo.productName') !== undefined && adapter.val('input') === 31);
+
+        let answer = await adapter.message('getStatus', {});
+        expect(answer.result).to.include({ powerStatus: 1, input: 31, 'info.connection': true });
+        expect(answer.result).to.not.have.property('powerOn');
+        expect(answer.result).to.not.have.property('inputs.31');
+        expect(answer.result).to.not.have.property('productName');
+        await waitFor(() => adapter.val('statistics.inputTime.31') !== undefined);
+        answer = await adapter.message('getStatus', {});
+        expect(answer.result).to.have.property('statistics.inputTime.31');
+        answer = await adapter.message('getDeviceInfo', {});
+        expect(answer.result.productName).to.equal('PJLink simulator');
+
+        expect(await adapter.message('setInput', { input: 'digital 2' })).to.deep.equal({ result: 'OK' });
+        expect(sim.state.input).to.equal('32');
+        expect(await adapter.message('setInput', { input: 59 })).to.deep.equal({
+            error: 'Out of parameter',
+            code: 'ERR2',
+        });
+        expect(await adapter.message('setMute', { mute: 31 })).to.deep.equal({ result: 'OK' });
+        expect(sim.state.mute).to.equal('31');
+        expect(await adapter.message('setMute', { mute: 'on' })).to.have.property('error');
+
+        sim.state.input = '12';
+        answer = await adapter.message('refresh', {});
+        expect(answer.result).to.include({ input: 12, videoMuteStatus: true });
+
+        expect(await adapter.message('powerOn', {})).to.deep.equal({ result: 'unchanged' });
+        expect(await adapter.message('powerOff', {})).to.deep.equal({ result: 'OK' });
+        await waitFor(() => adapter.val('powerStatus') === 2);
+        expect(await adapter.message('powerOn', {})).to.deep.equal({ result: 'deferred' });
+        await waitFor(() => sim.state.power === 3 || sim.state.power === 1);
+    });
+
+    it('should answer the sendTo API with the error if the states cannot be read', async () => {
+        const sim = await startSim({ state: { power: 1 } });
+        startAdapter({ host: '127.0.0.1', port: sim.port });
+        await waitFor(() => adapter.val('info.connection') === true);
+        adapter.getStatesAsync = () => Promise.reject(new Error('database not available'));
+        expect(await adapter.message('getDeviceInfo', {})).to.deep.equal({ error: 'database not available' });
+    });
+
+    it('should offer the found projectors in the host selection', async () => {
+        const sim = await startSim();
+        startAdapter({ host: '127.0.0.1', port: sim.port });
+        await waitFor(() => adapter.val('info.connection') === true);
+        let searches = 0;
+        adapter.udp = {
+            open: async () => {},
+            close: () => {},
+            discover: async () => {
+                searches++;
+                await new Promise(resolve => setTimeout(resolve, 20));
+                return [{ address: '192.0.2.10', mac: '00:00:5e:00:53:01' }];
+            },
+        };
+        const option = { label: '192.0.2.10 (00:00:5e:00:53:01)', value: '192.0.2.10' };
+
+        // the host selections of the table ask at the same time and share one search
+        const answers = await Promise.all([
+            adapter.message('discover', { format: 'select' }),
+            adapter.message('discover', { format: 'select' }),
+        ]);
+        expect(answers).to.deep.equal([[option], [option]]);
+        expect(searches).to.equal(1);
+        expect(await adapter.message('discover', { format: 'select' })).to.deep.equal([option]);
+        expect(searches).to.equal(1);
+
+        // the search button searches again
+        const result = await adapter.message('discover', { timeout: 100 });
+        expect(result.native.discoveredProjectors).to.have.length(1);
+        expect(searches).to.equal(2);
+    });
+
+    it('should handle several projectors in one instance', async () => {
+        const sim1 = await startSim({ state: { power: 1 } });
+        const sim2 = await startSim();
+        startAdapter({
+            devices: [
+                { name: 'room 1', host: '127.0.0.1', port: sim1.port, tcpPingPort: 0 },
+                { name: 'room2', host: '127.0.0.1', port: sim2.port, tcpPingPort: 80 },
+            ],
+        });
+
+        await waitFor(() => adapter.val('info.connection') === true);
+        expect(adapter.devices.map(device => device.pingPort)).to.deep.equal([sim1.port, 80]);
+        expect(adapter.val('room_1.info.connection')).to.be.true;
+        expect(adapter.val('room_1.powerStatus')).to.equal(1);
+        expect(adapter.val('room2.powerStatus')).to.equal(0);
+        expect(adapter.objects['pjlink.0.room2']).to.include({ type: 'device' });
+
+        // the flat states of the instance are not used with the devices table
+        adapter.write('power', true);
+        await waitFor(() => adapter.logs.find(item => item.level === 'warn' && item.message.includes('state power')));
+        expect(sim2.state.power).to.equal(0);
+
+        await sim2.stop();
+        await waitFor(() => adapter.val('room2.info.connection') === false);
+        expect(adapter.val('info.connection')).to.be.false;
+        expect(adapter.val('room_1.info.connection')).to.be.true;
+    });
+
+    it('should encrypt the passwords of the devices table', async () => {
+        const sim1 = await startSim({ password: 'secret' });
+        const sim2 = await startSim({ password: 'other' });
+        const devices = [
+            { name: 'room1', host: '127.0.0.1', port: sim1.port, password: 'secret' },
+            { name: 'room2', host: '127.0.0.1', port: sim2.port, password: '$/aes-192-cbc:6f74686572' },
+        ];
+        startAdapter({ devices: devices });
+        adapter.objects['system.adapter.pjlink.0'] = { native: { devices: JSON.parse(JSON.stringify(devices)) } };
+
+        await waitFor(() => adapter.val('room1.info.connection') === true && adapter.val('room2.info.connection'));
+        const rows = adapter.objects['system.adapter.pjlink.0'].native.devices;
+        expect(rows[0].password).to.not.equal('secret');
+        expect(adapter.decrypt(rows[0].password)).to.equal('secret');
+        expect(rows[1].password).to.equal('$/aes-192-cbc:6f74686572');
+    });
+
+    it('should listen for status notifications even if a host can not be resolved', async () => {
+        const sim = await startSim({ class: 2 });
+        startAdapter({
+            statusNotification: true,
+            devices: [
+                { name: 'room1', host: '127.0.0.1', port: sim.port, class: 2 },
+                { name: 'room2', host: 'projector.invalid', class: 2 },
+            ],
+        });
+        await waitFor(() => adapter.logs.find(item => item.message.includes('listening for status notifications')));
+        expect(adapter.devices[0].projectorAddress).to.equal('127.0.0.1');
+        expect(adapter.logs.find(item => item.message.includes('(room2) status notification not available'))).to.exist;
+    });
+
+    it('should not log the pending commands as errors when it stops', async () => {
+        const sim = await startSim({ state: { power: 1 } });
+        startAdapter({ host: '127.0.0.1', port: sim.port, commandTimeout: 5000 });
+        await waitFor(() => adapter.val('info.connection') === true);
+        sim.dropAnswer('*', 100);
+        adapter.message('refresh', {});
+        await waitFor(() => adapter.val('info.queueLength') > 1);
+
+        const stopped = adapter;
+        await adapter.stop();
+        adapter = undefined;
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(stopped.logs.filter(item => item.level === 'error')).to.deep.equal([]);
+        expect(stopped.logs.find(item => item.message.includes('stopped: Not connected'))).to.exist;
+    });
+
+    it('should check the availability with TCP-Ping before reconnecting', async () => {
+        const sim = await startSim();
+        const port = sim.port;
+        startAdapter({
+            host: '127.0.0.1',
+            port: port,
+            connectionCheckMethod: 1,
+            tcpPingPort: port,
+            checkTimeout: 100,
+            startPingAfterNumFailures: 1,
+            reconnectAfterNumPings: 2,
+        });
+        await waitFor(() => adapter.val('info.connection') === true);
+
+        await sim.stop();
+        await waitFor(() => adapter.val('info.connection') === false);
+        await new Promise(resolve => setTimeout(resolve, 600));
+        // only the first failure is logged as error
+        const errors = adapter.logs.filter(item => item.level === 'error');
+        expect(errors).to.have.length(1);
+
+        // same port again
+        const restarted = await startSim({ port: port });
+        await waitFor(() => adapter.val('info.connection') === true);
+        expect(restarted.connections).to.be.at.least(3); // two pings and the PJLink session
+    });
+});
@@ -0,0 +1,193 @@
+'use strict';
+
+/**
+ * Minimal in-memory replacement of @iobroker/adapter-core for the adapter tests.
+ * The @iobroker/testing unit test mocks do not support class based adapters.
+ *
+ * The instance configuration is the native part of io-package.json merged with options.config.
+ * All created adapters are collected in Adapter.instances.
+ */
+
+const EventEmitter = require('events');
+const ioPackage = require('../io-package.json');
+
+class Adapter extends EventEmitter {
+    /**
+     * @param {object} options the adapter options, config is merged into the instance configuration
+     */
+    constructor(options = {}) {
+        super();
+        this.name = options.name;
+        this.namespace = `${options.name}.0`;
+        this.config = Object.assign(JSON.parse(JSON.stringify(ioPackage.native)), options.config || {});
+        this.FORBIDDEN_CHARS = /[^._\-/ :!#$%&()+=@^{}|~\p{Ll}\p{Lu}\p{Nd}]+/gu;
+        this.states = {};
+        this.objects = {};
+        this.logs = [];
+        this.log = {};
+        for (const level of ['silly', 'debug', 'info', 'warn', 'error']) {
+            this.log[level] = message => this.logs.push({ level: level, message: message });
+        }
+        Adapter.instances.push(this);
+        setImmediate(() => this.emit('ready'));
+    }
+
+    /**
+     * @param {string} id the id with or without namespace
+     * @returns {string} the id with namespace
+     */
+    fullId(id) {
+        return id.startsWith(`${this.namespace}.`) ? id : `${this.namespace}.${id}`;
+    }
+
+    setState(id, state, ack) {
+        if (typeof state !== 'object' || state === null) {
+            state = { val: state, ack: !!ack };
+        }
+        this.states[this.fullId(id)] = Object.assign({ ts: Date.now() }, state);
+        return Promise.resolve();
+    }
+    setStateAsync(id, state, ack) {
+        return this.setState(id, state, ack);
+    }
+    setStateChanged(id, state, ack) {
+        return this.setState(id, state, ack);
+    }
+    setStateChangedAsync(id, state, ack) {
+        return this.setState(id, state, ack);
+    }
+    async getStateAsync(id) {
+        return this.states[this.fullId(id)] || null;
+    }
+    async getStatesAsync(pattern) {
+        const regex = new RegExp(`^${this.fullId(pattern).replace(/\./g, '\\.').replace(/\*/g, '.*')}$`);
+        const result = {};
+        for (const id of Object.keys(this.states).filter(item => regex.test(item))) {
+            result[id] = this.states[id];
+        }
+        return result;
+    }
+    async setObjectNotExistsAsync(id, obj) {
+        if (!this.objects[this.fullId(id)]) {
+            this.objects[this.fullId(id)] = JSON.parse(JSON.stringify(obj));
+        }
+    }
+    async setObjectAsync(id, obj) {
+        this.objects[this.fullId(id)] = obj;
+    }
+    async extendObjectAsync(id, obj) {
+        const existing = this.objects[this.fullId(id)] || { common: {}, native: {} };
+        existing.common = Object.assign(existing.common || {}, obj.common || {});
+        existing.native = Object.assign(existing.native || {}, obj.native || {});
+        if (obj.type) {
+            existing.type = obj.type;
+        }
+        this.objects[this.fullId(id)] = existing;
+    }
+    async getObjectAsync(id) {
+        return this.objects[this.fullId(id)] || null;
+    }
+    async getForeignObjectAsync(id) {
+        return this.objects[id] || { native: {} };
+    }
+    async setForeignObjectAsync(id, obj) {
+        this.objects[id] = obj;
+    }
+    setForeignObject(id, obj) {
+        this.objects[id] = obj;
+    }
+    encrypt(value) {
+        return `$/aes-192-cbc:${Buffer.from(value).toString('hex')}`;
+    }
+    decrypt(value) {
+        return Buffer.from(value.substring('$/aes-192-cbc:'.length), 'hex').toString();
+    }
+    async delObjectAsync(id) {
+        const fullId = this.fullId(id);
+        for (const key of Object.keys(this.objects)) {
+            if (key === fullId || key.startsWith(`${fullId}.`)) {
+                delete this.objects[key];
+            }
+        }
+    }
+    async getDevicesAsync() {
+        return Object.keys(this.objects)
+            .filter(id => this.objects[id].type === 'device')
+            .map(id => ({ _id: id }));
+    }
+    subscribeStates() {}
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+    setTimeout(callback, ms, ...args) {
+        return setTimeout(callback, ms, ...args);
+    }
+    clearTimeout(timer) {
+        clearTimeout(timer);
+    }
+    setInterval(callback, ms, ...args) {
+        return setInterval(callback, ms, ...args);
+    }
+    clearInterval(timer) {
+        clearInterval(timer);
+    }
+    sendTo(from, command, message, callback) {
+        if (typeof callback === 'function') {
+            callback(message);
+        }
+    }
+
+    /* helpers for the tests */
+
+    /**
+     * write a state like a user (ack = false)
+     *
+     * @param {string} id the id with or without namespace
+     * @param {any} val the value
+     */
+    write(id, val) {
+        this.states[this.fullId(id)] = { val: val, ack: false };
+        this.emit('stateChange', this.fullId(id), { val: val, ack: false });
+    }
+
+    /**
+     * send a message like sendTo
+     *
+     * @param {string} command the command
+     * @param {any} message the message
+     * @returns {Promise<any>} the answer
+     */
+    message(command, message) {
+        return new Promise(resolve =>
+            this.emit('message', {
+                command: command,
+                message: message,
+                from: 'system.adapter.test.0',
+                callback: resolve,
+            }),
+        );
+    }
+
+    /**
+     * @param {string} id the id with or without namespace
+     * @returns {any} the value of the state
+     */
+    val(id) {
+        const state = this.states[this.fullId(id)];
+        return state ? state.val : undefined;
+    }
+
+    /**
+     * unload the adapter
+     *
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return new Promise(resolve => this.emit('unload', resolve));
+    }
+}
+
+/** @type {Array<Adapter>} */
+Adapter.instances = [];
+
+module.exports = { Adapter };